@@ -20,18 +20,93 @@ const formErrors = document.getElementById("formErrors");
 const errorList = document.getElementById("errorList");
 const chartButton = document.getElementById("chartButton");
 const backButton = document.getElementById("backButton");
-const ageSelect = document.getElementById("age");
+const birthDateInput = document.getElementById("birthDate");
+const measurementDateInput = document.getElementById("measurementDate");
 const settingsButton = document.getElementById("settingsButton");
 const languageSelect = document.getElementById("languageSelect");
+const referenceSelect = document.getElementById("referenceSelect");
+const unitsSelect = document.getElementById("unitsSelect");
+const alertZScoreDropInput = document.getElementById("alertZScoreDrop");
+const alertStaticWeightDaysInput = document.getElementById(
+  "alertStaticWeightDays"
+);
 const darkModeToggle = document.getElementById("darkModeToggle");
+const plausibilityWarnings = document.getElementById("plausibilityWarnings");
+const confirmImplausibleInput = document.getElementById("confirmImplausible");
 const chartModal = new bootstrap.Modal(document.getElementById("chartModal"));
 const settingsModal = new bootstrap.Modal(
   document.getElementById("settingsModal")
 );
+const patientsButton = document.getElementById("patientsButton");
+const patientsModal = new bootstrap.Modal(
+  document.getElementById("patientsModal")
+);
+const patientListView = document.getElementById("patientListView");
+const patientList = document.getElementById("patientList");
+const patientListEmpty = document.getElementById("patientListEmpty");
+const patientSearch = document.getElementById("patientSearch");
+const patientForm = document.getElementById("patientForm");
+const patientFormErrors = document.getElementById("patientFormErrors");
+const selectedPatientBanner = document.getElementById("selectedPatient");
+const restoreFileInput = document.getElementById("restoreFile");
+const restoreSummary = document.getElementById("restoreSummary");
+const dataError = document.getElementById("dataError");
+const surveyModal = new bootstrap.Modal(document.getElementById("surveyModal"));
+const surveyColumnSelects = document.querySelectorAll(
+  "#surveyMapping select[data-field]"
+);
+const lockScreen = document.getElementById("lockScreen");
+const lockButton = document.getElementById("lockButton");
+const passcodeForm = document.getElementById("passcodeForm");
+const lockTimeoutMinutesInput = document.getElementById("lockTimeoutMinutes");
 
 // Store current patient data for chart rendering
 let currentPatientData = null;
 
+// Registry patient the assessment is recorded for, if any
+let selectedPatient = null;
+
+// Visit saved for the displayed assessment, updated when it is re-run
+let currentVisit = null;
+
+// Validated backup waiting for the user to confirm its restore
+let pendingRestore = null;
+
+// Whether the measurement position was picked by hand rather than by age
+let measurementPositionChosen = false;
+
+// Survey file being processed: { name, header, rows, mapping, results }
+let survey = null;
+
+// Whether patient data is protected by a passcode
+let passcodeSet = false;
+
+// Time of the last user interaction, for the idle auto-lock
+let lastActivityAt = Date.now();
+
+// How often the idle auto-lock is checked
+const IDLE_LOCK_CHECK_MS = 15000;
+
+// Measurement inputs by metric input id, with the quantity each one holds
+const MEASUREMENT_INPUTS = {
+  weight: "weight",
+  height: "stature",
+  headCircumference: "circumference",
+  muac: "circumference",
+  previousWeight: "weight",
+  previousHeight: "stature",
+  motherHeight: "stature",
+  fatherHeight: "stature",
+};
+
+// Badge colours for nutritional outcome severities
+const OUTCOME_BADGE_COLORS = {
+  severe: "bg-danger",
+  moderate: "bg-warning",
+  normal: "bg-success",
+  unknown: "bg-secondary",
+};
+
 // Initialize app
 /**
  * Initialize the Doklah PWA application
@@ -49,25 +124,89 @@ async function initApp() {
     renderUI();
     console.log("i18n initialized");
 
+    // Activate the growth reference set chosen in settings
+    await setActiveReference(getSetting("reference"));
+
     // Load child data
     await loadChildData();
     console.log("Child data loaded successfully");
 
+    // Z-score data is needed up front for the plausibility checks
+    await loadZScoreData();
+    await loadClassificationRules();
+
+    // Weight-for-length/height is needed for the plausibility checks
+    await loadWeightForHeightData();
+
     // Set language select to current language
     languageSelect.value = currentLanguage;
 
-    // Populate age select
-    populateAgeSelect();
+    // Fill growth reference select from the registry
+    getReferences().forEach((reference) => {
+      referenceSelect.add(new Option(reference.name, reference.id));
+    });
+    referenceSelect.value = getActiveReference().id;
+
+    // Show measurement inputs in the chosen units
+    unitsSelect.value = getUnitSystem();
+    applyUnits();
+
+    // Default measurement date to today
+    resetMeasurementDate();
 
     // Setup form handler
     form.addEventListener("submit", handleFormSubmit);
 
+    // Default the measurement position by age as the dates are entered
+    form.addEventListener("input", updateMeasurementPosition);
+    form.addEventListener("change", updateMeasurementPosition);
+
+    // Check measurements for implausible values while typing
+    form.addEventListener("input", updatePlausibilityWarnings);
+    form.addEventListener("change", updatePlausibilityWarnings);
+
     // Setup chart button
     chartButton.addEventListener("click", handleChartButton);
 
     // Setup back button
     backButton.addEventListener("click", handleBackButton);
 
+    // Setup patient registry
+    patientsButton.addEventListener("click", openPatients);
+    patientSearch.addEventListener("input", renderPatientList);
+    document
+      .getElementById("newPatientButton")
+      .addEventListener("click", () => showPatientForm(null));
+    document
+      .getElementById("cancelPatientButton")
+      .addEventListener("click", showPatientList);
+    patientForm.addEventListener("submit", handlePatientFormSubmit);
+    document
+      .getElementById("clearPatientButton")
+      .addEventListener("click", () => selectPatient(null));
+
+    // Setup survey batch processing
+    document.getElementById("surveyButton").addEventListener("click", () => {
+      surveyModal.show();
+    });
+    document
+      .getElementById("surveyFile")
+      .addEventListener("change", handleSurveyFile);
+    document
+      .getElementById("surveyCalculateButton")
+      .addEventListener("click", handleSurveyCalculate);
+    document
+      .getElementById("surveyExportButton")
+      .addEventListener("click", handleSurveyExport);
+    document.querySelectorAll('input[name="surveyView"]').forEach((input) => {
+      input.addEventListener("change", showSurveyView);
+    });
+    document
+      .querySelectorAll("#surveyReport input[data-metric]")
+      .forEach((input) => {
+        input.addEventListener("change", changeDesignEffect);
+      });
+
     // Setup settings button
     settingsButton.addEventListener("click", () => {
       settingsModal.show();
@@ -78,6 +217,61 @@ async function initApp() {
       changeLanguage(e.target.value);
     });
 
+    // Setup growth reference change
+    referenceSelect.addEventListener("change", (e) => {
+      changeReference(e.target.value);
+    });
+
+    // Setup unit system change
+    unitsSelect.addEventListener("change", (e) => {
+      changeUnits(e.target.value);
+    });
+
+    // Setup growth alert thresholds
+    alertZScoreDropInput.value = getSetting("alertZScoreDrop");
+    alertStaticWeightDaysInput.value = getSetting("alertStaticWeightDays");
+    alertZScoreDropInput.addEventListener("change", changeAlertThreshold);
+    alertStaticWeightDaysInput.addEventListener("change", changeAlertThreshold);
+
+    // Setup backup, restore and CSV export
+    document
+      .getElementById("backupButton")
+      .addEventListener("click", handleBackupButton);
+    document
+      .getElementById("exportCsvButton")
+      .addEventListener("click", handleExportCsvButton);
+    document
+      .getElementById("exportFhirButton")
+      .addEventListener("click", handleExportFhirButton);
+    document.getElementById("restoreButton").addEventListener("click", () => {
+      restoreFileInput.click();
+    });
+    restoreFileInput.addEventListener("change", handleRestoreFile);
+    document
+      .getElementById("confirmRestoreButton")
+      .addEventListener("click", confirmRestore);
+    document
+      .getElementById("cancelRestoreButton")
+      .addEventListener("click", cancelRestore);
+
+    // Setup passcode lock and auto-lock when idle
+    await renderPasscodeSettings();
+    passcodeForm.addEventListener("submit", handlePasscodeFormSubmit);
+    document
+      .getElementById("removePasscodeButton")
+      .addEventListener("click", handleRemovePasscode);
+    lockTimeoutMinutesInput.value = getSetting("lockTimeoutMinutes");
+    lockTimeoutMinutesInput.addEventListener("change", changeLockTimeout);
+    lockButton.addEventListener("click", lockApp);
+    ["pointerdown", "keydown", "scroll"].forEach((type) => {
+      document.addEventListener(type, recordActivity, {
+        capture: true,
+        passive: true,
+      });
+    });
+    document.addEventListener("visibilitychange", checkIdleLock);
+    setInterval(checkIdleLock, IDLE_LOCK_CHECK_MS);
+
     // Initialize dark mode
     const isDarkMode = getSetting("darkMode");
     document.documentElement.setAttribute(
@@ -122,6 +316,49 @@ async function initApp() {
         renderGrowthChart("bmi", currentPatientData.gender, currentPatientData);
       }
     });
+
+    document
+      .getElementById("headCircumferenceChart")
+      .addEventListener("change", () => {
+        if (currentPatientData) {
+          renderGrowthChart(
+            "headCircumference",
+            currentPatientData.gender,
+            currentPatientData
+          );
+        }
+      });
+
+    document
+      .getElementById("weightForHeightChart")
+      .addEventListener("change", () => {
+        if (currentPatientData) {
+          renderGrowthChart(
+            "weightForHeight",
+            currentPatientData.gender,
+            currentPatientData
+          );
+        }
+      });
+
+    // Setup chart curve labelling (z-scores or centiles)
+    document.getElementById(
+      getSetting("chartCurveMode") === "centile"
+        ? "curveModeCentile"
+        : "curveModeZScore"
+    ).checked = true;
+    document.getElementsByName("chartCurveMode").forEach((input) => {
+      input.addEventListener("change", (e) => {
+        updateSetting("chartCurveMode", e.target.value);
+        if (currentPatientData) {
+          renderGrowthChart(
+            document.querySelector('input[name="chartType"]:checked').value,
+            currentPatientData.gender,
+            currentPatientData
+          );
+        }
+      });
+    });
   } catch (error) {
     console.error("Error initializing app:", error);
     showError("Failed to initialize application: " + error.message);
@@ -129,501 +366,2170 @@ async function initApp() {
 }
 
 /**
- * Populate age select dropdown with unique ages from child data
- * Formats ages for display and sorts chronologically
- * @returns {void}
- */
-function populateAgeSelect() {
-  const ages = getUniqueAges();
-
-  // Clear existing options except the first one
-  ageSelect.innerHTML = '<option value="">Select age</option>';
-
-  ages.forEach((ageObj) => {
-    const option = document.createElement("option");
-    option.value = ageObj.value;
-    option.textContent = ageObj.label;
-    ageSelect.appendChild(option);
-  });
-}
-
-/**
- * Handle form submission for patient assessment
- * Validates input, finds matches by age and weight, and displays results
- * @param {Event} e - Form submission event
- * @returns {void}
+ * Switch the active growth reference set and persist the choice
+ * Reloads the reference tables and re-runs a displayed assessment so its
+ * results come from the newly selected reference
+ * @async
+ * @param {string} referenceId - Reference set id (e.g. 'who', 'cdc2000')
+ * @returns {Promise<void>}
  */
-function handleFormSubmit(e) {
-  e.preventDefault();
-
-  // Clear previous errors
-  hideErrors();
-
+async function changeReference(referenceId) {
   try {
-    // Get form values
-    const gender = document.querySelector(
-      'input[name="gender"]:checked'
-    )?.value;
-    const weight = parseFloat(document.getElementById("weight").value);
-    const height = document.getElementById("height").value
-      ? parseFloat(document.getElementById("height").value)
-      : null;
-    const ageValue = document.getElementById("age").value;
-
-    // Validate inputs
-    const errors = validateInput(gender, weight, height, ageValue);
-    if (errors.length > 0) {
-      showErrors(errors);
-      return;
-    }
+    await setActiveReference(referenceId);
+    updateSetting("reference", referenceId);
+    await loadChildData();
+    await loadZScoreData();
+    await loadClassificationRules();
+    await loadWeightForHeightData();
+    updatePlausibilityWarnings();
 
-    // Parse age if provided
-    let age = null;
-    if (ageValue) {
-      const ageParts = ageValue.split("-");
-      age = {
-        value: parseInt(ageParts[0]),
-        unit: ageParts[1],
-      };
+    if (currentPatientData) {
+      form.requestSubmit();
     }
-
-    // Find TWO matches
-    const ageMatch = findMatchByAge(gender, age.value, age.unit);
-    const weightMatch = findMatchByWeightAndHeight(gender, weight, height);
-
-    // Store patient data for chart rendering
-    currentPatientData = {
-      gender,
-      weight,
-      height,
-      age: age.value,
-      ageUnit: age.unit,
-    };
-
-    // Format results
-    const inputData = { gender, weight, height, age };
-    const result = formatResult(inputData, ageMatch, weightMatch);
-
-    // Display results
-    displayResults(result);
   } catch (error) {
-    console.error("Error processing assessment:", error);
-    showErrors([error.message]);
+    console.error("Error changing growth reference:", error);
+    showError("Failed to load growth reference: " + error.message);
   }
 }
 
 /**
- * Display assessment results in the results container
- * Updates closeness indicator, progress bar, and results table with assessment data
- * @param {Object} result - Formatted result object from formatResult()
- * @param {Object} result.input - Patient input data
- * @param {Object} result.ageMatched - Expected values for patient's age
- * @param {Object} result.weightMatched - Expected values for patient's weight/height
- * @param {number} result.closeness - Closeness percentage (0-100)
- * @returns {void}
+ * Read a measurement input in the chosen unit system
+ * Imperial weights are entered in pounds and ounces, statures in feet and
+ * inches and circumferences in inches
+ * @param {string} id - Metric input id (a key of MEASUREMENT_INPUTS)
+ * @returns {number|null} Measurement in kg or cm, or null if left blank
  */
-async function displayResults(result) {
-  // Hide empty state and show results
-  emptyState.style.display = "none";
-  resultsContainer.style.display = "block";
-
-  // Load z-score data if needed
-  await loadZScoreData();
-
-  const growthStage = determineGrowthStage(
-    result.input.age.value,
-    result.input.age.unit
-  );
-
-  // Calculate z-scores for input weight and height
-  const weightZScore = interpolateZScore(
-    result.input.gender === "Boy" ? "BOY" : "GIRL",
-    result.input.age.value,
-    result.input.age.unit,
-    "weight",
-    result.input.weight
-  );
-
-  let heightZScore = null;
-  let heightPercentage = 0;
-  if (result.input.height) {
-    heightZScore = interpolateZScore(
-      result.input.gender === "Boy" ? "BOY" : "GIRL",
-      result.input.age.value,
-      result.input.age.unit,
-      "height",
-      result.input.height
-    );
-    heightPercentage = calculatePercentageFromZScore(heightZScore);
-  } else if (growthStage !== "adolescent") {
-    // Use median height for comparison if not provided
-    const ageMatchedRecord = findMatchByAge(
-      result.input.gender === "Boy" ? "BOY" : "GIRL",
-      result.input.age.value,
-      result.input.age.unit
-    );
-    heightZScore = 0; // Assume median if using default
-    heightPercentage = 100;
-  }
-
-  const weightPercentage = calculatePercentageFromZScore(weightZScore);
-
-  // For adolescents, use BMI instead of weight/height
-  let bmiZScore = null;
-  let bmiPercentage = 0;
-  if (growthStage === "adolescent") {
-    const height =
-      result.input.height ||
-      getMedianHeightForAge(
-        result.input.gender === "Boy" ? "BOY" : "GIRL",
-        result.input.age.value,
-        result.input.age.unit
-      );
-    if (height) {
-      const bmi = calculateBMI(result.input.weight, height);
-      bmiZScore = interpolateZScore(
-        result.input.gender === "Boy" ? "BOY" : "GIRL",
-        result.input.age.value,
-        result.input.age.unit,
-        "bmi",
-        bmi
-      );
-      bmiPercentage = calculatePercentageFromZScore(bmiZScore);
-    }
-  }
-
-  // Calculate overall match quality
-  let overallPercentage;
-  if (growthStage === "adolescent") {
-    overallPercentage = bmiPercentage;
-  } else {
-    overallPercentage = result.input.height
-      ? Math.round((weightPercentage + heightPercentage) / 2)
-      : weightPercentage;
-  }
-
-  // Set closeness label based on percentage
-  let translatedLabel;
-  if (overallPercentage >= 90) {
-    translatedLabel = t("results.closenessExcellent");
-  } else if (overallPercentage >= 80) {
-    translatedLabel = t("results.closenessVeryGood");
-  } else if (overallPercentage >= 70) {
-    translatedLabel = t("results.closenessGood");
-  } else if (overallPercentage >= 50) {
-    translatedLabel = t("results.closenesssFair");
-  } else if (overallPercentage >= 30) {
-    translatedLabel = t("results.closenessBad");
-  } else {
-    translatedLabel = t("results.closenessVeryBad");
-  }
-
-  // Update closeness indicator
-  document.getElementById(
-    "closenessPercentage"
-  ).textContent = `${overallPercentage}% ${t(
-    "results.matchQualityPercentage"
-  )}`;
-
-  // Set classification badges
-  const weightBadge = document.getElementById("weightClassificationBadge");
-  const heightBadge = document.getElementById("heightClassificationBadge");
-  const overallBadge = document.getElementById("overallClassificationBadge");
-
-  if (growthStage === "adolescent" && bmiZScore !== null) {
-    // For adolescents, only show BMI classification
-    const bmiLabel = getZScoreLabel("bmi", bmiZScore);
-    const bmiColor = getZScoreBadgeColor(bmiZScore);
-    weightBadge.textContent = bmiLabel;
-    weightBadge.className = "badge " + bmiColor;
-    heightBadge.style.display = "none";
-  } else {
-    // For infants/children, show weight and height
-    if (weightZScore !== null) {
-      const weightLabel = getZScoreLabel("weight", weightZScore);
-      const weightColor = getZScoreBadgeColor(weightZScore);
-      weightBadge.textContent = weightLabel;
-      weightBadge.className = "badge " + weightColor;
-    }
-    if (result.input.height && heightZScore !== null) {
-      const heightLabel = getZScoreLabel("height", heightZScore);
-      const heightColor = getZScoreBadgeColor(heightZScore);
-      heightBadge.textContent = heightLabel;
-      heightBadge.className = "badge " + heightColor;
-      heightBadge.style.display = "inline-block";
-    } else {
-      heightBadge.style.display = "none";
-    }
-  }
-
-  // Set overall match quality badge
-  overallBadge.textContent = translatedLabel;
-  if (overallPercentage >= 80) {
-    overallBadge.className = "badge bg-success";
-  } else if (overallPercentage >= 70) {
-    overallBadge.className = "badge bg-info";
-  } else if (overallPercentage >= 50) {
-    overallBadge.className = "badge bg-warning";
-  } else {
-    overallBadge.className = "badge bg-danger";
-  }
-
-  // Update closeness bar color
-  const barEl = document.getElementById("closenessBar");
-  barEl.style.width = overallPercentage + "%";
-
-  if (overallPercentage >= 80) {
-    barEl.className = "progress-bar bg-success";
-  } else if (overallPercentage >= 70) {
-    barEl.className = "progress-bar bg-info";
-  } else if (overallPercentage >= 50) {
-    barEl.className = "progress-bar bg-warning";
-  } else {
-    barEl.className = "progress-bar bg-danger";
-  }
-
-  // Update input values
-  document.getElementById("resultInputGender").textContent =
-    result.input.gender;
-  document.getElementById("resultInputWeight").textContent =
-    result.input.weight.toFixed(2) + " kg";
-  if (result.input.height) {
-    document.getElementById("resultInputHeight").textContent =
-      result.input.height.toFixed(1) + " cm";
-  } else {
-    document.getElementById("resultInputHeight").textContent = t(
-      "results.notProvided"
-    );
+function readMeasurementInput(id) {
+  const read = (inputId) => {
+    const value = document.getElementById(inputId).value;
+    return value ? parseFloat(value) : null;
+  };
+  if (getUnitSystem() === "metric") return read(id);
+
+  const quantity = MEASUREMENT_INPUTS[id];
+  if (quantity === "circumference") {
+    const inches = read(`${id}In`);
+    return inches === null ? null : inches * CM_PER_INCH;
   }
-  const ageDisplay = formatAge(result.input.age.value, result.input.age.unit);
-  document.getElementById("resultInputAge").textContent = ageDisplay;
-  document.getElementById("resultInputStage").textContent =
-    growthStage.charAt(0).toUpperCase() + growthStage.slice(1);
-
-  // Update age-matched values
-  document.getElementById("resultAgeMatchGender").textContent =
-    result.ageMatched.gender;
-  document.getElementById("resultAgeMatchWeight").textContent =
-    result.ageMatched.weight.toFixed(2) + " kg";
-  document.getElementById("resultAgeMatchHeight").textContent =
-    result.ageMatched.height.toFixed(1) + " cm";
-  document.getElementById("resultAgeMatchAge").textContent =
-    result.ageMatched.ageLabel;
-  document.getElementById("resultAgeMatchStage").textContent =
-    result.ageMatched.ageType;
-
-  // Update weight-matched (closest match) values
-  document.getElementById("resultWeightMatchGender").textContent =
-    result.weightMatched.gender;
-  document.getElementById("resultWeightMatchWeight").textContent =
-    result.weightMatched.weight.toFixed(2) + " kg";
-  document.getElementById("resultWeightMatchHeight").textContent =
-    result.weightMatched.height.toFixed(1) + " cm";
-  document.getElementById("resultWeightMatchAge").textContent =
-    result.weightMatched.ageLabel;
-  document.getElementById("resultWeightMatchStage").textContent =
-    result.weightMatched.ageType;
-
-  // Handle BMI row for adolescents
-  const bmiRow = document.getElementById("bmiRow");
-  if (growthStage === "adolescent") {
-    bmiRow.style.display = "table-row";
-
-    // Input BMI
-    const inputHeight =
-      result.input.height ||
-      getMedianHeightForAge(
-        result.input.gender === "Boy" ? "BOY" : "GIRL",
-        result.input.age.value,
-        result.input.age.unit
-      );
-    if (inputHeight) {
-      const inputBmi = calculateBMI(result.input.weight, inputHeight);
-      document.getElementById("resultInputBmi").textContent =
-        inputBmi.toFixed(1) + " kg/m²";
-    }
 
-    // Matched age BMI (median)
-    const matchedHeight = result.ageMatched.height;
-    if (matchedHeight) {
-      const matchedBmi = calculateBMI(result.ageMatched.weight, matchedHeight);
-      document.getElementById("resultAgeMatchBmi").textContent =
-        matchedBmi.toFixed(1) + " kg/m²";
-    }
+  const [major, minor] =
+    quantity === "weight"
+      ? [read(`${id}Lb`), read(`${id}Oz`)]
+      : [read(`${id}Ft`), read(`${id}In`)];
+  if (major === null && minor === null) return null;
+  return quantity === "weight"
+    ? poundsOuncesToKg(major || 0, minor || 0)
+    : feetInchesToCm(major || 0, minor || 0);
+}
 
-    // Weight-matched (closest match) BMI
-    const weightMatchedHeight = result.weightMatched.height;
-    if (weightMatchedHeight) {
-      const weightMatchedBmi = calculateBMI(result.weightMatched.weight, weightMatchedHeight);
-      document.getElementById("resultWeightMatchBmi").textContent =
-        weightMatchedBmi.toFixed(1) + " kg/m²";
-    }
+/**
+ * Fill a measurement input in the chosen unit system
+ * @param {string} id - Metric input id (a key of MEASUREMENT_INPUTS)
+ * @param {number|null} value - Measurement in kg or cm; null clears it
+ * @returns {void}
+ */
+function writeMeasurementInput(id, value) {
+  const write = (inputId, number) => {
+    document.getElementById(inputId).value =
+      value === null ? "" : Number(number.toFixed(2));
+  };
+  const quantity = MEASUREMENT_INPUTS[id];
+
+  if (getUnitSystem() === "metric") {
+    write(id, value);
+  } else if (quantity === "circumference") {
+    write(`${id}In`, value / CM_PER_INCH);
+  } else if (quantity === "weight") {
+    const { pounds, ounces } = kgToPoundsOunces(value || 0);
+    write(`${id}Lb`, pounds);
+    write(`${id}Oz`, ounces);
   } else {
-    bmiRow.style.display = "none";
+    const { feet, inches } = cmToFeetInches(value || 0);
+    write(`${id}Ft`, feet);
+    write(`${id}In`, inches);
   }
-
-  // Show results and scroll into view
-  resultsContainer.style.display = "block";
-  emptyState.style.display = "none";
-  resultsContainer.scrollIntoView({ behavior: "smooth", block: "start" });
 }
 
 /**
- * Get translated z-score classification label
- * @param {string} metric - 'weight', 'height', or 'bmi'
- * @param {number} zScore - The z-score value
- * @returns {string} Translated classification label
+ * Show the measurement inputs of the chosen unit system
+ * Inputs of the other system are disabled so they skip form validation
+ * @returns {void}
  */
-function getZScoreLabel(metric, zScore) {
-  let labelKey;
+function applyUnits() {
+  const units = getUnitSystem();
+  document.querySelectorAll("[data-units]").forEach((group) => {
+    const active = group.dataset.units === units;
+    group.style.display = active ? "" : "none";
+    group.querySelectorAll("input").forEach((input) => {
+      input.disabled = !active;
+    });
+  });
+}
 
-  if (metric === "weight") {
-    if (zScore < -2) {
-      labelKey = "weightSeverelyUnderweight";
-    } else if (zScore < -1) {
-      labelKey = "weightUnderweight";
-    } else if (zScore < 1) {
-      labelKey = "weightNormal";
-    } else if (zScore < 2) {
-      labelKey = "weightOverweight";
-    } else {
-      labelKey = "weightSeverelyOverweight";
-    }
-  } else if (metric === "height") {
-    if (zScore < -2) {
-      labelKey = "heightSeverelyShort";
-    } else if (zScore < -1) {
-      labelKey = "heightShort";
-    } else if (zScore < 1) {
-      labelKey = "heightNormal";
-    } else if (zScore < 2) {
-      labelKey = "heightTall";
-    } else {
-      labelKey = "heightSeverelyTall";
-    }
-  } else if (metric === "bmi") {
-    if (zScore < -2) {
-      labelKey = "bmiSeverelyUnderweight";
-    } else if (zScore < -1) {
-      labelKey = "bmiUnderweight";
-    } else if (zScore < 1) {
-      labelKey = "bmiNormal";
-    } else if (zScore < 2) {
-      labelKey = "bmiOverweight";
-    } else {
-      labelKey = "bmiSeverelyOverweight";
-    }
+/**
+ * Switch the unit system and persist the choice
+ * Values already entered are converted, and a displayed assessment is
+ * shown again in the new units
+ * @param {string} units - 'metric' or 'imperial'
+ * @returns {void}
+ */
+function changeUnits(units) {
+  const measurements = Object.keys(MEASUREMENT_INPUTS).map((id) => [
+    id,
+    readMeasurementInput(id),
+  ]);
+
+  updateSetting("units", units);
+  applyUnits();
+  measurements.forEach(([id, value]) => writeMeasurementInput(id, value));
+  updatePlausibilityWarnings();
+
+  if (currentPatientData) {
+    form.requestSubmit();
   }
-
-  return t(`results.${labelKey}`);
 }
 
 /**
- * Display validation error messages
- * Shows error list and scrolls into view
- * @param {string[]} errors - Array of error messages to display
+ * Persist a growth alert threshold from its settings input
+ * Values outside the input's range are reverted to the saved threshold;
+ * alerts of a displayed assessment are refreshed
+ * @param {Event} e - Change event of a threshold input
  * @returns {void}
  */
-function showErrors(errors) {
-  if (!errors || errors.length === 0) return;
-
-  errorList.innerHTML = errors.map((error) => `<div>• ${error}</div>`).join("");
-  formErrors.style.display = "block";
+function changeAlertThreshold(e) {
+  const input = e.target;
+  const value = Number(input.value);
+
+  if (
+    input.value === "" ||
+    value < Number(input.min) ||
+    value > Number(input.max)
+  ) {
+    input.value = getSetting(input.id);
+    return;
+  }
 
-  // Scroll to errors
-  formErrors.scrollIntoView({ behavior: "smooth", block: "nearest" });
+  updateSetting(input.id, value);
+  if (currentVisit) {
+    showGrowthAlerts();
+  }
 }
 
 /**
- * Hide error messages and clear error list
- * @returns {void}
+ * Get the growth alert thresholds chosen in settings
+ * @returns {Object} Thresholds for detectGrowthAlerts(): zScoreDrop and
+ *   staticWeightDays
  */
-function hideErrors() {
-  formErrors.style.display = "none";
-  errorList.innerHTML = "";
+function getAlertThresholds() {
+  return {
+    zScoreDrop: Number(getSetting("alertZScoreDrop")),
+    staticWeightDays: Number(getSetting("alertStaticWeightDays")),
+  };
 }
 
 /**
- * Display a single error message
- * @param {string} message - Error message to display
+ * Offer content as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} type - MIME type
  * @returns {void}
  */
-function showError(message) {
-  showErrors([message]);
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
 }
 
 /**
- * Handle back button click - reset form and show empty state
- * Clears all form inputs and hides results
+ * Show an error of the backup, restore or export actions
+ * @param {string|null} message - Error message, or null to hide
  * @returns {void}
  */
-function handleBackButton() {
-  // Reset form
-  form.reset();
-
-  // Hide results, show empty state
-  resultsContainer.style.display = "none";
-  emptyState.style.display = "block";
-
-  // Scroll back to form
-  form.scrollIntoView({ behavior: "smooth", block: "start" });
+function showDataError(message) {
+  dataError.textContent = message || "";
+  dataError.style.display = message ? "block" : "none";
 }
 
 /**
- * Handle chart button click - open chart modal and render growth chart
- * For adolescents, shows BMI chart only. For infants/children, shows weight/height options.
- * @returns {void}
+ * Download a backup of every patient, visit and setting
+ * @async
+ * @returns {Promise<void>}
  */
-function handleChartButton() {
-  if (!currentPatientData) return;
-
-  // Determine growth stage
-  const growthStage = determineGrowthStage(
-    currentPatientData.age,
-    currentPatientData.ageUnit
-  );
-  const weightChart = document.getElementById("weightChart");
-  const heightChart = document.getElementById("heightChart");
-  const bmiChart = document.getElementById("bmiChart");
-
-  // Get label elements (next siblings of the input elements)
-  const weightLabel = weightChart.nextElementSibling;
-  const heightLabel = heightChart.nextElementSibling;
-  const bmiLabel = bmiChart.nextElementSibling;
-
-  if (growthStage === "adolescent") {
-    // Show only BMI for adolescents
-    weightChart.style.display = "none";
-    weightLabel.style.display = "none";
-    heightChart.style.display = "none";
-    heightLabel.style.display = "none";
-    bmiChart.style.display = "inline-block";
-    bmiLabel.style.display = "inline-block";
-    bmiChart.checked = true;
-  } else {
-    // Show weight and height for infants/children
-    weightChart.style.display = "inline-block";
-    weightLabel.style.display = "inline-block";
-    heightChart.style.display = "inline-block";
-    heightLabel.style.display = "inline-block";
-    bmiChart.style.display = "none";
-    bmiLabel.style.display = "none";
-    weightChart.checked = true;
+async function handleBackupButton() {
+  showDataError(null);
+  try {
+    const backup = await createBackup();
+    downloadFile(
+      `doklah-backup-${backup.createdAt.slice(0, 10)}.json`,
+      JSON.stringify(backup, null, 2),
+      "application/json"
+    );
+  } catch (error) {
+    console.error("Error creating backup:", error);
+    showDataError("Failed to create backup: " + error.message);
+  }
+}
+
+/**
+ * Download every visit with its z-scores as CSV
+ * @async
+ * @returns {Promise<void>}
+ */
+async function handleExportCsvButton() {
+  showDataError(null);
+  try {
+    downloadFile(
+      `doklah-visits-${new Date().toISOString().slice(0, 10)}.csv`,
+      await createVisitsCsv(),
+      "text/csv"
+    );
+  } catch (error) {
+    console.error("Error exporting visits:", error);
+    showDataError("Failed to export visits: " + error.message);
+  }
+}
+
+/**
+ * Download every patient and visit as a FHIR R4 transaction Bundle
+ * @async
+ * @returns {Promise<void>}
+ */
+async function handleExportFhirButton() {
+  showDataError(null);
+  try {
+    const bundle = await createFhirBundle();
+    downloadFile(
+      `doklah-fhir-${bundle.timestamp.slice(0, 10)}.json`,
+      JSON.stringify(bundle, null, 2),
+      "application/fhir+json"
+    );
+  } catch (error) {
+    console.error("Error exporting FHIR bundle:", error);
+    showDataError("Failed to export FHIR bundle: " + error.message);
+  }
+}
+
+/**
+ * Validate a chosen backup or FHIR file and summarize what restoring it
+ * changes
+ * The restore waits for confirmation
+ * @async
+ * @param {Event} e - Change event of the file input
+ * @returns {Promise<void>}
+ */
+async function handleRestoreFile(e) {
+  const file = e.target.files[0];
+  e.target.value = "";
+  if (!file) return;
+
+  cancelRestore();
+  try {
+    const text = await file.text();
+    const backup = isFhirBundle(text)
+      ? parseFhirBundle(text)
+      : await parseBackup(text);
+    const summary = await summarizeRestore(backup);
+    const describeCounts = (key, counts) =>
+      t(key)
+        .replace("{{added}}", counts.added)
+        .replace("{{updated}}", counts.updated)
+        .replace("{{unchanged}}", counts.unchanged);
+
+    const lines = [
+      t("backup.created").replace(
+        "{{value}}",
+        new Date(summary.createdAt).toLocaleString(currentLanguage)
+      ),
+      describeCounts("backup.patients", summary.patients),
+      describeCounts("backup.visits", summary.visits),
+      t("backup.settings").replace("{{value}}", summary.settings.length),
+      t("backup.kept"),
+    ];
+    const list = document.getElementById("restoreSummaryList");
+    list.innerHTML = "";
+    lines.forEach((line) => {
+      const item = document.createElement("li");
+      item.textContent = line;
+      list.appendChild(item);
+    });
+
+    pendingRestore = backup;
+    restoreSummary.style.display = "block";
+  } catch (error) {
+    console.error("Error reading backup:", error);
+    showDataError(error.message);
+  }
+}
+
+/**
+ * Restore the confirmed backup and reload the app with its settings
+ * @async
+ * @returns {Promise<void>}
+ */
+async function confirmRestore() {
+  if (!pendingRestore) return;
+
+  try {
+    await restoreBackup(pendingRestore);
+    window.location.reload();
+  } catch (error) {
+    console.error("Error restoring backup:", error);
+    showDataError("Failed to restore backup: " + error.message);
+  }
+}
+
+/**
+ * Discard a backup waiting for confirmation
+ * @returns {void}
+ */
+function cancelRestore() {
+  pendingRestore = null;
+  restoreSummary.style.display = "none";
+  showDataError(null);
+}
+
+/**
+ * Show whether a passcode is set and the matching passcode actions
+ * @async
+ * @returns {Promise<void>}
+ */
+async function renderPasscodeSettings() {
+  try {
+    passcodeSet = await isPasscodeSet();
+  } catch (error) {
+    console.error("Error reading passcode lock:", error);
+  }
+
+  const setTranslated = (element, key) => {
+    element.setAttribute("data-i18n", key);
+    element.textContent = t(key);
+  };
+  setTranslated(
+    document.getElementById("passcodeStatus"),
+    passcodeSet ? "settings.passcodeOn" : "settings.passcodeOff"
+  );
+  setTranslated(
+    document.getElementById("savePasscodeButton"),
+    passcodeSet ? "settings.changePasscode" : "settings.setPasscode"
+  );
+  document.getElementById("currentPasscodeGroup").style.display = passcodeSet
+    ? "block"
+    : "none";
+  document.getElementById("removePasscodeButton").style.display = passcodeSet
+    ? "inline-block"
+    : "none";
+  lockButton.classList.toggle("d-none", !passcodeSet);
+}
+
+/**
+ * Show the outcome of a passcode action
+ * @param {string|null} message - Message, or null to hide
+ * @param {boolean} [isError] - Whether the action failed
+ * @returns {void}
+ */
+function showPasscodeMessage(message, isError = false) {
+  const passcodeMessage = document.getElementById("passcodeMessage");
+  passcodeMessage.textContent = message || "";
+  passcodeMessage.className = `alert small mt-3 mb-0 ${
+    isError ? "alert-danger" : "alert-success"
+  }`;
+  passcodeMessage.style.display = message ? "block" : "none";
+}
+
+/**
+ * Set or change the passcode and re-encrypt patient data with it
+ * @async
+ * @param {Event} e - Form submit event
+ * @returns {Promise<void>}
+ */
+async function handlePasscodeFormSubmit(e) {
+  e.preventDefault();
+  showPasscodeMessage(null);
+
+  const passcode = document.getElementById("newPasscode").value;
+  const errors = validatePasscode(
+    passcode,
+    document.getElementById("confirmPasscode").value
+  );
+  if (errors.length > 0) {
+    showPasscodeMessage(errors.join(". "), true);
+    return;
+  }
+
+  try {
+    await setPasscode(
+      passcode,
+      document.getElementById("currentPasscode").value
+    );
+    passcodeForm.reset();
+    await renderPasscodeSettings();
+    showPasscodeMessage(t("settings.passcodeSaved"));
+  } catch (error) {
+    console.error("Error setting passcode:", error);
+    showPasscodeMessage(error.message, true);
+  }
+}
+
+/**
+ * Remove the passcode after checking the current one
+ * Patient data is then stored unencrypted
+ * @async
+ * @returns {Promise<void>}
+ */
+async function handleRemovePasscode() {
+  showPasscodeMessage(null);
+
+  try {
+    await removePasscode(document.getElementById("currentPasscode").value);
+    passcodeForm.reset();
+    await renderPasscodeSettings();
+    showPasscodeMessage(t("settings.passcodeRemoved"));
+  } catch (error) {
+    console.error("Error removing passcode:", error);
+    showPasscodeMessage(error.message, true);
+  }
+}
+
+/**
+ * Persist the idle auto-lock timeout from its settings input
+ * Values outside the input's range are reverted to the saved timeout
+ * @param {Event} e - Change event of the timeout input
+ * @returns {void}
+ */
+function changeLockTimeout(e) {
+  const input = e.target;
+  const value = Number(input.value);
+
+  if (
+    !Number.isInteger(value) ||
+    input.value === "" ||
+    value < Number(input.min) ||
+    value > Number(input.max)
+  ) {
+    input.value = getSetting("lockTimeoutMinutes");
+    return;
+  }
+
+  updateSetting("lockTimeoutMinutes", value);
+}
+
+/**
+ * Note a user interaction, postponing the idle auto-lock
+ * @returns {void}
+ */
+function recordActivity() {
+  lastActivityAt = Date.now();
+}
+
+/**
+ * Lock the app once it has been idle for the chosen timeout
+ * Also checked when the app returns to the foreground, as timers are
+ * paused in the background
+ * @returns {void}
+ */
+function checkIdleLock() {
+  if (!passcodeSet || document.visibilityState === "hidden") return;
+
+  if (Date.now() - lastActivityAt >= getSetting("lockTimeoutMinutes") * 60000) {
+    lockApp();
+  }
+}
+
+/**
+ * Lock the app
+ * Reloads it so that no patient data stays on screen or in memory; the
+ * lock screen then asks for the passcode
+ * @returns {void}
+ */
+function lockApp() {
+  lockRegistry();
+  window.location.reload();
+}
+
+/**
+ * Ask for the passcode on the lock screen
+ * @returns {Promise<void>} Resolves once the registry is unlocked
+ */
+function showLockScreen() {
+  const unlockForm = document.getElementById("unlockForm");
+  const unlockPasscode = document.getElementById("unlockPasscode");
+  const unlockError = document.getElementById("unlockError");
+
+  document
+    .getElementById("eraseDataButton")
+    .addEventListener("click", handleEraseData);
+  unlockForm.style.display = "block";
+  unlockPasscode.focus();
+
+  return new Promise((resolve) => {
+    unlockForm.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      unlockError.style.display = "none";
+      try {
+        await unlockRegistry(unlockPasscode.value);
+        unlockForm.reset();
+        resolve();
+      } catch (error) {
+        unlockError.textContent = error.message;
+        unlockError.style.display = "block";
+        unlockPasscode.select();
+      }
+    });
+  });
+}
+
+/**
+ * Erase the locked patient data after confirmation, when the passcode is
+ * forgotten
+ * @async
+ * @returns {Promise<void>}
+ */
+async function handleEraseData() {
+  if (!confirm(t("lock.confirmErase"))) return;
+
+  try {
+    await eraseLockedRegistry();
+    window.location.reload();
+  } catch (error) {
+    console.error("Error erasing patient data:", error);
+    const unlockError = document.getElementById("unlockError");
+    unlockError.textContent = "Failed to erase patient data: " + error.message;
+    unlockError.style.display = "block";
+  }
+}
+
+/**
+ * Start the app, first asking for the passcode when one is set
+ * The lock screen covers the app until then, so nothing is rendered before
+ * the registry is unlocked
+ * @async
+ * @returns {Promise<void>}
+ */
+async function startApp() {
+  // Fail closed: when the lock cannot be read, ask for the passcode anyway
+  let locked = true;
+  try {
+    locked = await isPasscodeSet();
+  } catch (error) {
+    console.error("Error reading passcode lock:", error);
+  }
+
+  if (locked) {
+    document.documentElement.setAttribute(
+      "data-bs-theme",
+      getSetting("darkMode") ? "dark" : "light"
+    );
+    await initI18n();
+    renderUI();
+    await showLockScreen();
+  }
+
+  lockScreen.style.display = "none";
+  recordActivity();
+  await initApp();
+}
+
+/**
+ * Set the measurement date input to today and prevent future dates
+ * @returns {void}
+ */
+function resetMeasurementDate() {
+  const now = new Date();
+  const today = new Date(now.getTime() - now.getTimezoneOffset() * 60000)
+    .toISOString()
+    .slice(0, 10);
+  measurementDateInput.value = today;
+  measurementDateInput.max = today;
+  birthDateInput.max = today;
+}
+
+/**
+ * Handle form submission for patient assessment
+ * Validates input, finds matches by age and weight, and displays results
+ * Assessments of a registry patient are saved as one of their visits
+ * @async
+ * @param {Event} e - Form submission event
+ * @returns {Promise<void>}
+ */
+async function handleFormSubmit(e) {
+  e.preventDefault();
+
+  // Clear previous errors
+  hideErrors();
+
+  try {
+    // Get form values
+    const values = readFormValues();
+    const {
+      gender,
+      weight,
+      height: measuredHeight,
+      measurementPosition,
+      headCircumference,
+      muac,
+      oedema,
+      birthDate,
+      measurementDate,
+      gestationalAgeDays,
+      previousDate,
+      previousWeight,
+      previousHeight,
+      hasPrevious,
+      motherHeight,
+      fatherHeight,
+    } = values;
+
+    // Validate inputs
+    const errors = validateInput(
+      gender,
+      weight,
+      measuredHeight,
+      birthDate,
+      measurementDate,
+      headCircumference,
+      gestationalAgeDays
+    );
+    if (hasPrevious) {
+      errors.push(
+        ...validatePreviousMeasurement(
+          birthDate,
+          measurementDate,
+          previousDate,
+          previousWeight,
+          previousHeight
+        )
+      );
+    }
+    errors.push(...validateMuac(muac));
+    if (motherHeight || fatherHeight) {
+      errors.push(...validateParentHeights(motherHeight, fatherHeight));
+    }
+    if (
+      selectedPatient &&
+      (gender !== selectedPatient.gender ||
+        birthDate !== selectedPatient.birthDate)
+    ) {
+      errors.push(
+        "Gender and date of birth must match the patient record; edit the patient to change them"
+      );
+    }
+    if (errors.length > 0) {
+      showErrors(errors);
+      return;
+    }
+
+    // Implausible values must be confirmed before they are saved
+    const flags = getPlausibilityFlags(values);
+    updatePlausibilityWarnings();
+    if (flags.length > 0 && !confirmImplausibleInput.checked) {
+      showError(t("errors.implausibleUnconfirmed"));
+      return;
+    }
+
+    // Exact age in days from date of birth and date of measurement,
+    // corrected for prematurity until 24 months
+    const chronologicalAge = calculateAgeInDays(birthDate, measurementDate);
+    const age = {
+      value: calculateCorrectedAge(chronologicalAge, gestationalAgeDays),
+      unit: "DAY",
+    };
+
+    // Length under 24 months and height from 24 months, adjusted by 0.7 cm
+    // when measured in the other position
+    const height = adjustForMeasurementPosition(
+      measuredHeight,
+      measurementPosition,
+      age.value
+    );
+
+    // Prior measurement for growth velocity
+    const previous = hasPrevious
+      ? {
+          age: calculateCorrectedAge(
+            calculateAgeInDays(birthDate, previousDate),
+            gestationalAgeDays
+          ),
+          weight: previousWeight,
+          height: previousHeight,
+        }
+      : null;
+
+    // Find TWO matches
+    const ageMatch = findMatchByAge(gender, age.value, age.unit);
+    const weightMatch = findMatchByWeightAndHeight(gender, weight, height);
+
+    // Store patient data for chart rendering
+    currentPatientData = {
+      gender,
+      weight,
+      height,
+      measuredHeight,
+      measurementPosition,
+      headCircumference,
+      age: age.value,
+      ageUnit: age.unit,
+      birthDate,
+      measurementDate,
+      gestationalAgeDays,
+      motherHeight,
+      fatherHeight,
+      muac,
+      oedema,
+      reference: getActiveReference().id,
+      flags,
+    };
+
+    // Format results
+    const inputData = {
+      gender,
+      weight,
+      height,
+      measuredHeight,
+      measurementPosition,
+      headCircumference,
+      age,
+      chronologicalAge,
+      gestationalAgeDays,
+      previous,
+      motherHeight,
+      fatherHeight,
+      muac,
+      oedema,
+    };
+    const result = formatResult(inputData, ageMatch, weightMatch);
+    result.flags = flags;
+
+    // Display results
+    await displayResults(result);
+
+    // Record the assessment as a visit of the registry patient and compare
+    // it with their earlier visits
+    if (selectedPatient) {
+      await recordVisit(result);
+      await showGrowthAlerts();
+    }
+  } catch (error) {
+    console.error("Error processing assessment:", error);
+    showErrors([error.message]);
+  }
+}
+
+/**
+ * Read the assessment form values
+ * Measurements are converted to kg and cm; empty fields are returned as null
+ * and the oedema grade as 0 (none) to 3 (+++)
+ * @returns {Object} Form values: gender, weight, height (as measured),
+ *   measurementPosition, headCircumference, muac, oedema, birthDate,
+ *   measurementDate, gestationalAgeDays, the prior measurement
+ *   (previousDate, previousWeight, previousHeight, hasPrevious) and the
+ *   parents' heights
+ */
+function readFormValues() {
+  const gender = document.querySelector('input[name="gender"]:checked')?.value;
+  const weight = readMeasurementInput("weight");
+  const height = readMeasurementInput("height");
+  const measurementPosition =
+    document.querySelector('input[name="measurementPosition"]:checked')
+      ?.value || null;
+  const headCircumference = readMeasurementInput("headCircumference");
+  const muac = readMeasurementInput("muac");
+  const oedema = Number(document.getElementById("oedema").value) || 0;
+  const birthDate = birthDateInput.value;
+  const measurementDate = measurementDateInput.value;
+  const gestationalWeeks = document.getElementById("gestationalWeeks").value;
+  const gestationalAgeDays = gestationalWeeks
+    ? parseFloat(gestationalWeeks) * 7 +
+      (parseFloat(document.getElementById("gestationalDays").value) || 0)
+    : null;
+  const previousDate = document.getElementById("previousDate").value;
+  const previousWeight = readMeasurementInput("previousWeight");
+  const previousHeight = readMeasurementInput("previousHeight");
+  const hasPrevious = Boolean(previousDate || previousWeight);
+  const motherHeight = readMeasurementInput("motherHeight");
+  const fatherHeight = readMeasurementInput("fatherHeight");
+
+  return {
+    gender,
+    weight,
+    height,
+    measurementPosition,
+    headCircumference,
+    muac,
+    oedema,
+    birthDate,
+    measurementDate,
+    gestationalAgeDays,
+    previousDate,
+    previousWeight,
+    previousHeight,
+    hasPrevious,
+    motherHeight,
+    fatherHeight,
+  };
+}
+
+/**
+ * Select the measurement position WHO expects at the entered age
+ * Lying down under 24 months and standing from 24 months, until the
+ * position is picked by hand
+ * @param {Event} e - Form input or change event
+ * @returns {void}
+ */
+function updateMeasurementPosition(e) {
+  if (e.target.name === "measurementPosition") {
+    measurementPositionChosen = true;
+    return;
+  }
+  if (measurementPositionChosen) return;
+
+  const { birthDate, measurementDate, gestationalAgeDays } = readFormValues();
+  const ageDays = calculateAgeInDays(birthDate, measurementDate);
+  if (isNaN(ageDays) || ageDays < 0) return;
+
+  const position = getExpectedMeasurementPosition(
+    calculateCorrectedAge(ageDays, gestationalAgeDays)
+  );
+  document.getElementById(
+    position === "RECUMBENT" ? "positionRecumbent" : "positionStanding"
+  ).checked = true;
+}
+
+/**
+ * Flag biologically implausible values among the entered measurements
+ * @param {Object} values - Form values from readFormValues()
+ * @returns {Array<Object>} Flags from flagImplausibleIndicators(); empty
+ *   while the required fields are missing or invalid
+ */
+function getPlausibilityFlags(values) {
+  const {
+    gender,
+    weight,
+    height,
+    measurementPosition,
+    headCircumference,
+    muac,
+    oedema,
+    birthDate,
+    measurementDate,
+    gestationalAgeDays,
+  } = values;
+  const errors = validateInput(
+    gender,
+    weight,
+    height,
+    birthDate,
+    measurementDate,
+    headCircumference,
+    gestationalAgeDays
+  );
+  if (errors.length > 0) return [];
+
+  const age = calculateCorrectedAge(
+    calculateAgeInDays(birthDate, measurementDate),
+    gestationalAgeDays
+  );
+  return flagImplausibleIndicators(
+    calculateIndicators({
+      gender: gender === "BOY" ? "Boy" : "Girl",
+      weight,
+      height: adjustForMeasurementPosition(height, measurementPosition, age),
+      headCircumference,
+      muac,
+      oedema,
+      age: { value: age, unit: "DAY" },
+    })
+  );
+}
+
+/**
+ * Warn about implausible values for the selected age and sex while typing
+ * A changed set of flags has to be confirmed again
+ * @param {Event} [e] - Form input event; edits to the confirmation checkbox
+ *   itself are ignored
+ * @returns {void}
+ */
+function updatePlausibilityWarnings(e) {
+  if (e && e.target === confirmImplausibleInput) return;
+
+  const flags = getPlausibilityFlags(readFormValues());
+  const key = flags.map((flag) => flag.metric).join(",");
+  if (plausibilityWarnings.dataset.flags !== key) {
+    confirmImplausibleInput.checked = false;
+    plausibilityWarnings.dataset.flags = key;
+  }
+
+  document.getElementById("plausibilityList").innerHTML = flags
+    .map((flag) => `<li>${formatPlausibilityFlag(flag)}</li>`)
+    .join("");
+  plausibilityWarnings.style.display = flags.length ? "block" : "none";
+}
+
+/**
+ * Describe an implausibility flag
+ * @param {Object} flag - Flag from flagImplausibleIndicators()
+ * @returns {string} Text such as 'Weight-for-age z-score -7.12 is outside
+ *   the plausible range (-6 to +5)'
+ */
+function formatPlausibilityFlag(flag) {
+  const formatZScore = (zScore) => (zScore > 0 ? "+" : "") + zScore;
+  return t("plausibility.flag")
+    .replace("{{indicator}}", t(`plausibility.indicators.${flag.metric}`))
+    .replace("{{value}}", formatZScore(Number(flag.zScore.toFixed(2))))
+    .replace("{{min}}", formatZScore(flag.min))
+    .replace("{{max}}", formatZScore(flag.max));
+}
+
+/**
+ * Display assessment results in the results container
+ * Updates the nutritional status outcomes, indicator badges, and results
+ * table with assessment data
+ * @param {Object} result - Formatted result object from formatResult()
+ * @param {Object} result.input - Patient input data
+ * @param {Object} result.ageMatched - Expected values for patient's age
+ * @param {Object} result.weightMatched - Expected values for patient's weight/height
+ * @returns {void}
+ */
+async function displayResults(result) {
+  // Hide empty state and show results
+  emptyState.style.display = "none";
+  resultsContainer.style.display = "block";
+
+  // Load z-score data if needed
+  await loadZScoreData();
+  await loadWeightForHeightData();
+  await loadClassificationRules();
+
+  const growthStage = determineGrowthStage(
+    result.input.age.value,
+    result.input.age.unit
+  );
+
+  // Z-scores and percentiles for every indicator
+  result.indicators = calculateIndicators(result.input);
+  const { weight, height, weightForHeight, headCircumference, bmi } =
+    result.indicators;
+
+  // WHO/IMCI nutritional outcomes with their recommended actions
+  result.classification = classifyNutritionalStatus(
+    result.input,
+    result.indicators
+  );
+  showClassification(result.classification);
+
+  // Oedema inflates weight, so weight-based indicators are not shown
+  const oedemaNote = document.getElementById("oedemaNote");
+  oedemaNote.textContent = t("results.oedemaSuppressed").replace(
+    "{{value}}",
+    "+".repeat(result.input.oedema)
+  );
+  oedemaNote.style.display = result.input.oedema ? "block" : "none";
+
+  // Set classification badges
+  const weightBadge = document.getElementById("weightClassificationBadge");
+  const heightBadge = document.getElementById("heightClassificationBadge");
+  const weightForHeightBadge = document.getElementById(
+    "weightForHeightClassificationBadge"
+  );
+  const headCircumferenceBadge = document.getElementById(
+    "headCircumferenceClassificationBadge"
+  );
+  const bmiBadge = document.getElementById("bmiClassificationBadge");
+
+  // Every indicator defined at the patient's age gets a badge
+  const ageMonths = convertToMonths(
+    result.input.age.value,
+    result.input.age.unit
+  );
+  showIndicatorBadge(weightBadge, "weight", weight, ageMonths);
+  showIndicatorBadge(heightBadge, "height", height, ageMonths);
+  showIndicatorBadge(bmiBadge, "bmi", bmi, ageMonths);
+  showIndicatorBadge(
+    weightForHeightBadge,
+    "weightForHeight",
+    weightForHeight,
+    ageMonths
+  );
+  showIndicatorBadge(
+    headCircumferenceBadge,
+    "headCircumference",
+    headCircumference,
+    ageMonths
+  );
+
+  // Set when the assessment is saved to a registry patient
+  document.getElementById("resultVisitSaved").style.display = "none";
+  document.getElementById("growthAlerts").style.display = "none";
+
+  // Note which growth reference produced the results
+  document.getElementById("resultReference").textContent = result.reference
+    ? result.reference.name
+    : "-";
+
+  // Flagged records are kept but left out of aggregate statistics
+  document.getElementById("resultFlagList").innerHTML = result.flags
+    .map((flag) => `<li>${formatPlausibilityFlag(flag)}</li>`)
+    .join("");
+  document.getElementById("resultFlags").style.display = result.flags.length
+    ? "block"
+    : "none";
+
+  // Update input values
+  document.getElementById("resultInputGender").textContent =
+    result.input.gender;
+  document.getElementById("resultInputWeight").textContent = formatWeight(
+    result.input.weight
+  );
+  // Length under 24 months, height from 24 months
+  const heightLabel = document.getElementById("resultHeightLabel");
+  heightLabel.dataset.i18n =
+    getExpectedMeasurementPosition(result.input.age.value) === "RECUMBENT"
+      ? "results.length"
+      : "results.height";
+  heightLabel.textContent = t(heightLabel.dataset.i18n);
+  if (result.input.height) {
+    let heightDisplay = formatHeight(result.input.height);
+    if (result.input.measuredHeight !== result.input.height) {
+      heightDisplay += ` (${t(
+        result.input.measurementPosition === "STANDING"
+          ? "results.measuredStanding"
+          : "results.measuredRecumbent"
+      ).replace("{{value}}", formatHeight(result.input.measuredHeight))})`;
+    }
+    document.getElementById("resultInputHeight").textContent = heightDisplay;
+  } else {
+    document.getElementById("resultInputHeight").textContent = t(
+      "results.notProvided"
+    );
+  }
+  let ageDisplay = formatAge(result.input.age.value, result.input.age.unit);
+  if (result.input.chronologicalAge !== result.input.age.value) {
+    ageDisplay += ` (${t("results.correctedAge").replace(
+      "{{value}}",
+      formatAge(result.input.chronologicalAge, "DAY")
+    )})`;
+  }
+  document.getElementById("resultInputAge").textContent = ageDisplay;
+  document.getElementById("resultInputStage").textContent =
+    growthStage.charAt(0).toUpperCase() + growthStage.slice(1);
+
+  // Update age-matched values
+  document.getElementById("resultAgeMatchGender").textContent =
+    result.ageMatched.gender;
+  document.getElementById("resultAgeMatchWeight").textContent =
+    result.ageMatched.weight !== null
+      ? formatWeight(result.ageMatched.weight)
+      : "-";
+  document.getElementById("resultAgeMatchHeight").textContent =
+    result.ageMatched.height !== null
+      ? formatHeight(result.ageMatched.height)
+      : "-";
+  document.getElementById("resultAgeMatchAge").textContent =
+    result.ageMatched.ageLabel;
+  document.getElementById("resultAgeMatchStage").textContent =
+    result.ageMatched.ageType;
+
+  // Update weight-matched (closest match) values
+  document.getElementById("resultWeightMatchGender").textContent =
+    result.weightMatched.gender;
+  document.getElementById("resultWeightMatchWeight").textContent = formatWeight(
+    result.weightMatched.weight
+  );
+  document.getElementById("resultWeightMatchHeight").textContent = formatHeight(
+    result.weightMatched.height
+  );
+  document.getElementById("resultWeightMatchAge").textContent =
+    result.weightMatched.ageLabel;
+  document.getElementById("resultWeightMatchStage").textContent =
+    result.weightMatched.ageType;
+
+  // Z-score and percentile column
+  document.getElementById("resultIndicatorWeight").textContent =
+    formatIndicator(weight);
+  document.getElementById("resultIndicatorHeight").textContent =
+    formatIndicator(height);
+  document.getElementById("resultIndicatorHeadCircumference").textContent =
+    formatIndicator(headCircumference);
+  document.getElementById("resultIndicatorBmi").textContent =
+    formatIndicator(bmi);
+
+  // Head circumference row with the age-matched median
+  const headCircumferenceRow = document.getElementById("headCircumferenceRow");
+  if (result.input.headCircumference) {
+    headCircumferenceRow.style.display = "table-row";
+    document.getElementById("resultInputHeadCircumference").textContent =
+      formatLength(result.input.headCircumference);
+    const headMedian = getZScoreCurves(
+      result.input.gender === "Boy" ? "BOY" : "GIRL",
+      result.input.age.value,
+      result.input.age.unit,
+      "headCircumference"
+    )[0];
+    document.getElementById("resultAgeMatchHeadCircumference").textContent =
+      headMedian ? formatLength(headMedian) : "-";
+  } else {
+    headCircumferenceRow.style.display = "none";
+  }
+
+  // BMI row whenever BMI-for-age applies
+  const bmiRow = document.getElementById("bmiRow");
+  if (bmi) {
+    bmiRow.style.display = "table-row";
+
+    // Input BMI
+    document.getElementById("resultInputBmi").textContent =
+      bmi.value.toFixed(1) + " kg/m²";
+
+    // Matched age BMI (median)
+    const matchedHeight = result.ageMatched.height;
+    if (matchedHeight) {
+      const matchedBmi = calculateBMI(result.ageMatched.weight, matchedHeight);
+      document.getElementById("resultAgeMatchBmi").textContent =
+        matchedBmi.toFixed(1) + " kg/m²";
+    }
+
+    // Weight-matched (closest match) BMI
+    const weightMatchedHeight = result.weightMatched.height;
+    if (weightMatchedHeight) {
+      const weightMatchedBmi = calculateBMI(
+        result.weightMatched.weight,
+        weightMatchedHeight
+      );
+      document.getElementById("resultWeightMatchBmi").textContent =
+        weightMatchedBmi.toFixed(1) + " kg/m²";
+    }
+  } else {
+    bmiRow.style.display = "none";
+  }
+
+  // MUAC row; MUAC is classified by its absolute cut-offs, not by age
+  const muacRow = document.getElementById("muacRow");
+  if (result.input.muac) {
+    muacRow.style.display = "table-row";
+    document.getElementById("resultInputMuac").textContent = formatLength(
+      result.input.muac
+    );
+  } else {
+    muacRow.style.display = "none";
+  }
+
+  // Growth velocity when a prior measurement was given
+  const velocityCard = document.getElementById("velocityCard");
+  if (result.input.previous) {
+    const velocity = calculateGrowthVelocity(result.input.previous, {
+      age: result.input.age.value,
+      weight: result.input.weight,
+      height: result.input.measuredHeight,
+      measurementPosition: result.input.measurementPosition,
+    });
+    document.getElementById("velocityInterval").textContent = t(
+      "velocity.interval"
+    ).replace("{{value}}", velocity.days);
+    showVelocityRow("Weight", velocity.weight, formatWeight);
+    if (result.input.oedema) {
+      document.getElementById("velocityWeightIncrement").textContent = t(
+        "results.oedemaNotValid"
+      );
+    }
+    showVelocityRow("Length", velocity.length, formatLength);
+    velocityCard.style.display = "block";
+  } else {
+    velocityCard.style.display = "none";
+  }
+
+  // Mid-parental target height and predicted adult height
+  const targetHeightCard = document.getElementById("targetHeightCard");
+  const gender = result.input.gender === "Boy" ? "BOY" : "GIRL";
+  const targetHeight = calculateMidParentalHeight(
+    gender,
+    result.input.motherHeight,
+    result.input.fatherHeight
+  );
+  if (targetHeight) {
+    showTargetHeight(
+      targetHeight,
+      predictAdultHeight(
+        gender,
+        result.input.age.value,
+        result.input.age.unit,
+        result.input.height
+      )
+    );
+    targetHeightCard.style.display = "block";
+  } else {
+    targetHeightCard.style.display = "none";
+  }
+
+  // Show results and scroll into view
+  resultsContainer.style.display = "block";
+  emptyState.style.display = "none";
+  resultsContainer.scrollIntoView({ behavior: "smooth", block: "start" });
+}
+
+/**
+ * Render the nutritional status outcomes as a list
+ * Each outcome shows its severity badge, recommended action and advice
+ * @param {Array<Object>} outcomes - Outcomes from classifyNutritionalStatus()
+ * @returns {void}
+ */
+function showClassification(outcomes) {
+  const list = document.getElementById("classificationOutcomes");
+  list.innerHTML = "";
+
+  outcomes.forEach((outcome) => {
+    const item = document.createElement("li");
+    item.className = "list-group-item";
+
+    const badge = document.createElement("span");
+    badge.className = `badge ${OUTCOME_BADGE_COLORS[outcome.severity]} me-2`;
+    badge.textContent = t(`classification.outcomes.${outcome.id}`);
+
+    const action = document.createElement("strong");
+    action.className = "small";
+    action.textContent = t(`classification.actions.${outcome.action}`);
+
+    const advice = document.createElement("small");
+    advice.className = "d-block text-muted mt-1";
+    advice.textContent = t(`classification.advice.${outcome.id}`);
+
+    item.append(badge, action, advice);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Show a classification badge with the indicator's percentile
+ * Hides the badge when the indicator is not applicable
+ * @param {HTMLElement} badge - Badge element
+ * @param {string} metric - Metric passed to getZScoreLabel()
+ * @param {Object|null} indicator - Indicator from calculateIndicators()
+ * @param {number} [ageMonths] - Patient's age in months, for bands limited
+ *   to an age range
+ * @returns {void}
+ */
+function showIndicatorBadge(badge, metric, indicator, ageMonths) {
+  if (!indicator) {
+    badge.style.display = "none";
+    return;
+  }
+
+  badge.textContent = `${getZScoreLabel(
+    metric,
+    indicator.zScore,
+    ageMonths
+  )} · ${formatPercentile(indicator.percentile)}`;
+  badge.className =
+    "badge " + getZScoreBadgeColor(metric, indicator.zScore, ageMonths);
+  badge.style.display = "inline-block";
+}
+
+/**
+ * Format an indicator's z-score and percentile for the results table
+ * @param {Object|null} indicator - Indicator from calculateIndicators()
+ * @returns {string} Text such as '-1.25 (P11)', or '-' if not applicable
+ */
+function formatIndicator(indicator) {
+  if (!indicator) return "-";
+
+  const sign = indicator.zScore > 0 ? "+" : "";
+  return `${sign}${indicator.zScore.toFixed(2)} (${formatPercentile(
+    indicator.percentile
+  )})`;
+}
+
+/**
+ * Fill a growth velocity table row
+ * @param {string} name - Row id suffix: 'Weight' or 'Length'
+ * @param {number|null} increment - Increment from calculateGrowthVelocity()
+ *   in kg or cm
+ * @param {Function} format - Formats the increment in the chosen units
+ *   (formatWeight or formatLength)
+ * @returns {void}
+ */
+function showVelocityRow(name, increment, format) {
+  const sign = increment > 0 ? "+" : "";
+  document.getElementById(`velocity${name}Increment`).textContent =
+    increment === null ? "-" : `${sign}${format(increment)}`;
+}
+
+/**
+ * Fill the target height card
+ * The predicted adult height is compared with the mid-parental target range
+ * @param {Object} target - Target from calculateMidParentalHeight()
+ * @param {Object|null} prediction - Prediction from predictAdultHeight()
+ * @returns {void}
+ */
+function showTargetHeight(target, prediction) {
+  document.getElementById("targetHeightValue").textContent = `${formatHeight(
+    target.height
+  )} (${formatHeight(target.min)}–${formatHeight(target.max)})`;
+  document.getElementById("targetHeightZScore").textContent =
+    target.zScore !== null ? formatIndicator(target) : "-";
+  document.getElementById("targetHeightNote").textContent = t(
+    "targetHeight.note"
+  )
+    .replace("{{range}}", formatLength(MID_PARENTAL_RANGE_CM))
+    .replace("{{value}}", ADULT_HEIGHT_AGE_YEARS);
+
+  const badge = document.getElementById("predictedHeightBadge");
+  if (!prediction) {
+    document.getElementById("predictedHeightValue").textContent = "-";
+    document.getElementById("predictedHeightZScore").textContent = "-";
+    badge.style.display = "none";
+    return;
+  }
+
+  document.getElementById("predictedHeightValue").textContent = formatHeight(
+    prediction.height
+  );
+  document.getElementById("predictedHeightZScore").textContent =
+    formatIndicator(prediction);
+
+  if (prediction.height < target.min) {
+    badge.textContent = t("targetHeight.below");
+    badge.className = "badge bg-warning";
+  } else if (prediction.height > target.max) {
+    badge.textContent = t("targetHeight.above");
+    badge.className = "badge bg-info";
+  } else {
+    badge.textContent = t("targetHeight.within");
+    badge.className = "badge bg-success";
+  }
+  badge.style.display = "inline-block";
+}
+
+/**
+ * Display validation error messages
+ * Shows error list and scrolls into view
+ * @param {string[]} errors - Array of error messages to display
+ * @returns {void}
+ */
+function showErrors(errors) {
+  if (!errors || errors.length === 0) return;
+
+  errorList.innerHTML = errors.map((error) => `<div>• ${error}</div>`).join("");
+  formErrors.style.display = "block";
+
+  // Scroll to errors
+  formErrors.scrollIntoView({ behavior: "smooth", block: "nearest" });
+}
+
+/**
+ * Hide error messages and clear error list
+ * @returns {void}
+ */
+function hideErrors() {
+  formErrors.style.display = "none";
+  errorList.innerHTML = "";
+}
+
+/**
+ * Display a single error message
+ * @param {string} message - Error message to display
+ * @returns {void}
+ */
+function showError(message) {
+  showErrors([message]);
+}
+
+/**
+ * Handle back button click - reset form and show empty state
+ * Clears all form inputs except the selected patient's gender and date of
+ * birth, and hides results
+ * @returns {void}
+ */
+function handleBackButton() {
+  // Reset form, keeping the registry patient's details
+  form.reset();
+  resetMeasurementDate();
+  measurementPositionChosen = false;
+  currentVisit = null;
+  if (selectedPatient) {
+    fillPatientFields(selectedPatient);
+  }
+  updatePlausibilityWarnings();
+
+  // Hide results, show empty state
+  resultsContainer.style.display = "none";
+  emptyState.style.display = "block";
+
+  // Scroll back to form
+  form.scrollIntoView({ behavior: "smooth", block: "start" });
+}
+
+/**
+ * Handle chart button click - open chart modal and render growth chart
+ * Offers every indicator with a reference at the patient's age; head
+ * circumference and weight-for-length/height also need the measurement
+ * A registry patient's other visits are plotted as their trajectory
+ * @async
+ * @returns {Promise<void>}
+ */
+async function handleChartButton() {
+  if (!currentPatientData) return;
+
+  try {
+    currentPatientData.visits = selectedPatient
+      ? (await listVisits(selectedPatient.id)).filter(
+          (visit) => !currentVisit || visit.id !== currentVisit.id
+        )
+      : [];
+  } catch (error) {
+    console.error("Error loading visits:", error);
+    currentPatientData.visits = [];
+  }
+
+  const { gender, age, ageUnit } = currentPatientData;
+  const hasReference = (metric) =>
+    Object.keys(getZScoreCurves(gender, age, ageUnit, metric)).length > 0;
+
+  const availableCharts = {
+    weight: hasReference("weight"),
+    height: hasReference("height"),
+    bmi: hasReference("bmi"),
+    headCircumference:
+      Boolean(currentPatientData.headCircumference) &&
+      hasReference("headCircumference"),
+    weightForHeight:
+      Boolean(currentPatientData.height) &&
+      determineWeightForHeightTable(age, ageUnit) !== null,
+  };
+
+  // Show the radio and its label (next sibling) for each available chart
+  for (const [metric, available] of Object.entries(availableCharts)) {
+    const input = document.getElementById(`${metric}Chart`);
+    input.style.display = available ? "inline-block" : "none";
+    input.nextElementSibling.style.display = available
+      ? "inline-block"
+      : "none";
   }
 
+  const metric =
+    Object.keys(availableCharts).find((key) => availableCharts[key]) ||
+    "weight";
+  document.getElementById(`${metric}Chart`).checked = true;
+
   // Show modal
   chartModal.show();
 
   // Render initial chart
   setTimeout(() => {
-    const metric = growthStage === "adolescent" ? "bmi" : "weight";
     renderGrowthChart(metric, currentPatientData.gender, currentPatientData);
   }, 100);
 }
 
+/**
+ * Save the displayed assessment as a visit of the selected patient
+ * Re-running the same assessment (e.g. after changing the reference or
+ * units) updates its visit instead of adding another; a new measurement
+ * date or another patient starts a new visit
+ * @async
+ * @param {Object} result - Result displayed by displayResults()
+ * @returns {Promise<void>}
+ */
+async function recordVisit(result) {
+  const sameVisit =
+    currentVisit &&
+    currentVisit.patientId === selectedPatient.id &&
+    currentVisit.measurementDate === currentPatientData.measurementDate;
+
+  try {
+    currentVisit = await saveVisit({
+      ...(sameVisit ? currentVisit : {}),
+      ...currentPatientData,
+      patientId: selectedPatient.id,
+      indicators: result.indicators,
+      classification: result.classification,
+    });
+
+    const visitSaved = document.getElementById("resultVisitSaved");
+    visitSaved.textContent = t("patients.visitSaved").replace(
+      "{{value}}",
+      selectedPatient.name
+    );
+    visitSaved.style.display = "block";
+  } catch (error) {
+    console.error("Error saving visit:", error);
+    currentVisit = null;
+    showError("Failed to save visit: " + error.message);
+  }
+}
+
+/**
+ * Show the growth alerts raised by the displayed visit
+ * Compares the visit with the patient's earlier visits; nothing is shown
+ * when the assessment was not saved as a visit
+ * @async
+ * @returns {Promise<void>}
+ */
+async function showGrowthAlerts() {
+  const container = document.getElementById("growthAlerts");
+  const list = document.getElementById("growthAlertList");
+
+  if (!currentVisit) {
+    container.style.display = "none";
+    return;
+  }
+
+  try {
+    const alerts = detectGrowthAlerts(
+      await listVisits(selectedPatient.id),
+      getAlertThresholds()
+    ).filter((alert) => alert.visitId === currentVisit.id);
+
+    list.innerHTML = "";
+    alerts.forEach((alert) => {
+      const item = document.createElement("li");
+      item.textContent = formatGrowthAlert(alert);
+      list.appendChild(item);
+    });
+    container.style.display = alerts.length ? "block" : "none";
+  } catch (error) {
+    console.error("Error checking growth alerts:", error);
+    container.style.display = "none";
+  }
+}
+
+/**
+ * Describe a growth alert in the current language
+ * @param {Object} alert - Alert from detectGrowthAlerts()
+ * @returns {string} Alert text
+ */
+function formatGrowthAlert(alert) {
+  const indicator = t(`plausibility.indicators.${alert.metric}`);
+  const formatZScore = (zScore) =>
+    `${zScore > 0 ? "+" : ""}${zScore.toFixed(2)}`;
+
+  switch (alert.type) {
+    case "zScoreDrop":
+      return t("alerts.zScoreDrop")
+        .replace("{{indicator}}", indicator)
+        .replace("{{from}}", formatZScore(alert.from))
+        .replace("{{to}}", formatZScore(alert.to))
+        .replace("{{date}}", alert.previousDate);
+    case "bandWorsened":
+      return t("alerts.bandWorsened")
+        .replace("{{indicator}}", indicator)
+        .replace("{{from}}", t(`results.${alert.from}`))
+        .replace("{{to}}", t(`results.${alert.to}`))
+        .replace("{{date}}", alert.previousDate);
+    case "staticWeight":
+      return t("alerts.staticWeight")
+        .replace("{{days}}", calculateAgeInDays(alert.previousDate, alert.date))
+        .replace("{{date}}", alert.previousDate)
+        .replace("{{from}}", formatWeight(alert.from))
+        .replace("{{to}}", formatWeight(alert.to));
+    default:
+      return alert.type;
+  }
+}
+
+/**
+ * Link the assessment form to a registry patient, or unlink it
+ * A linked patient's gender and date of birth are filled into the form
+ * @param {Object|null} patient - Patient from the registry, or null
+ * @returns {void}
+ */
+function selectPatient(patient) {
+  selectedPatient = patient;
+  currentVisit = null;
+
+  selectedPatientBanner.classList.toggle("d-none", !patient);
+  if (!patient) return;
+
+  document.getElementById("selectedPatientName").textContent =
+    patient.identifier
+      ? `${patient.name} (${patient.identifier})`
+      : patient.name;
+  fillPatientFields(patient);
+}
+
+/**
+ * Fill the assessment form with a patient's gender and date of birth
+ * @param {Object} patient - Patient from the registry
+ * @returns {void}
+ */
+function fillPatientFields(patient) {
+  document.getElementById(
+    patient.gender === "BOY" ? "genderBoy" : "genderGirl"
+  ).checked = true;
+  birthDateInput.value = patient.birthDate;
+  updateMeasurementPosition({ target: birthDateInput });
+  updatePlausibilityWarnings();
+}
+
+/**
+ * Open the patient registry on the patient list
+ * @returns {void}
+ */
+function openPatients() {
+  patientSearch.value = "";
+  showPatientList();
+  patientsModal.show();
+}
+
+/**
+ * Show the patient list and refresh it
+ * @returns {void}
+ */
+function showPatientList() {
+  patientForm.style.display = "none";
+  patientListView.style.display = "block";
+  renderPatientList();
+}
+
+/**
+ * Render the patients matching the search text, with their visit counts,
+ * growth alerts and actions to assess, edit or delete each one
+ * @async
+ * @returns {Promise<void>}
+ */
+async function renderPatientList() {
+  try {
+    const query = patientSearch.value;
+    const patients = await searchPatients(query);
+    const patientVisits = await Promise.all(
+      patients.map((patient) => listVisits(patient.id))
+    );
+
+    // Alerts are recalculated against the active reference
+    await loadZScoreData();
+    await loadWeightForHeightData();
+    await loadClassificationRules();
+
+    patientList.innerHTML = "";
+    patientListEmpty.textContent = t(
+      query.trim() ? "patients.noResults" : "patients.empty"
+    );
+    patientListEmpty.style.display = patients.length ? "none" : "block";
+
+    patients.forEach((patient, index) => {
+      const visits = patientVisits[index];
+      const alerts = detectGrowthAlerts(visits, getAlertThresholds());
+
+      const item = document.createElement("div");
+      item.className = "list-group-item";
+      const row = document.createElement("div");
+      row.className = "d-flex justify-content-between align-items-center gap-2";
+
+      const details = document.createElement("div");
+      const name = document.createElement("strong");
+      name.textContent = patient.name;
+      const identifier = document.createElement("small");
+      identifier.className = "text-muted ms-2";
+      identifier.textContent = patient.identifier;
+      const summary = document.createElement("small");
+      summary.className = "d-block text-muted";
+      summary.textContent = [
+        t(patient.gender === "BOY" ? "form.genderBoy" : "form.genderGirl"),
+        patient.birthDate,
+        t("patients.visits").replace("{{value}}", visits.length),
+      ].join(" · ");
+      details.append(name, identifier, summary);
+
+      // Every alert across the patient's visits, shown on demand
+      const alertList = document.createElement("ul");
+      alertList.className = "small text-warning-emphasis mt-2 mb-0";
+      alertList.style.display = "none";
+      alerts.forEach((alert) => {
+        const alertItem = document.createElement("li");
+        alertItem.textContent = `${alert.date}: ${formatGrowthAlert(alert)}`;
+        alertList.appendChild(alertItem);
+      });
+      if (alerts.length > 0) {
+        const alertToggle = document.createElement("button");
+        alertToggle.type = "button";
+        alertToggle.className = "btn btn-link btn-sm p-0 text-warning-emphasis";
+        alertToggle.textContent = t("patients.alerts").replace(
+          "{{value}}",
+          alerts.length
+        );
+        alertToggle.addEventListener("click", () => {
+          alertList.style.display =
+            alertList.style.display === "none" ? "block" : "none";
+        });
+        details.appendChild(alertToggle);
+      }
+
+      const actions = document.createElement("div");
+      actions.className = "btn-group btn-group-sm";
+      const addAction = (key, className, handler) => {
+        const button = document.createElement("button");
+        button.type = "button";
+        button.className = `btn ${className}`;
+        button.textContent = t(key);
+        button.addEventListener("click", () => handler(patient));
+        actions.appendChild(button);
+      };
+      addAction("patients.assess", "btn-primary", startPatientAssessment);
+      addAction("patients.edit", "btn-outline-secondary", showPatientForm);
+      addAction("patients.delete", "btn-outline-danger", confirmDeletePatient);
+
+      row.append(details, actions);
+      item.append(row, alertList);
+      patientList.appendChild(item);
+    });
+  } catch (error) {
+    console.error("Error loading patients:", error);
+    patientListEmpty.textContent = "Failed to load patients: " + error.message;
+    patientListEmpty.style.display = "block";
+  }
+}
+
+/**
+ * Show the patient form to create a patient or edit an existing one
+ * @param {Object|null} patient - Patient to edit, or null for a new patient
+ * @returns {void}
+ */
+function showPatientForm(patient) {
+  patientForm.reset();
+  document.getElementById("patientId").value = patient ? patient.id : "";
+  if (patient) {
+    document.getElementById("patientIdentifier").value = patient.identifier;
+    document.getElementById("patientName").value = patient.name;
+    document.getElementById(
+      patient.gender === "BOY" ? "patientGenderBoy" : "patientGenderGirl"
+    ).checked = true;
+    document.getElementById("patientBirthDate").value = patient.birthDate;
+  }
+
+  patientFormErrors.style.display = "none";
+  patientListView.style.display = "none";
+  patientForm.style.display = "block";
+}
+
+/**
+ * Handle patient form submission
+ * Validates and saves the patient, keeping a linked assessment form in step
+ * with the edited details
+ * @async
+ * @param {Event} e - Form submission event
+ * @returns {Promise<void>}
+ */
+async function handlePatientFormSubmit(e) {
+  e.preventDefault();
+
+  const id = document.getElementById("patientId").value;
+  const patient = {
+    identifier: document.getElementById("patientIdentifier").value,
+    name: document.getElementById("patientName").value,
+    gender:
+      document.querySelector('input[name="patientGender"]:checked')?.value ||
+      null,
+    birthDate: document.getElementById("patientBirthDate").value,
+  };
+
+  const showPatientErrors = (errors) => {
+    patientFormErrors.innerHTML = errors
+      .map((error) => `<div>• ${error}</div>`)
+      .join("");
+    patientFormErrors.style.display = "block";
+  };
+
+  const errors = validatePatient(patient);
+  if (errors.length > 0) {
+    showPatientErrors(errors);
+    return;
+  }
+
+  try {
+    const existing = id ? await getPatient(id) : null;
+    const saved = await savePatient({ ...existing, ...patient });
+    if (selectedPatient && selectedPatient.id === saved.id) {
+      selectPatient(saved);
+    }
+    showPatientList();
+  } catch (error) {
+    console.error("Error saving patient:", error);
+    showPatientErrors([error.message]);
+  }
+}
+
+/**
+ * Delete a patient and their visits after confirmation
+ * @async
+ * @param {Object} patient - Patient from the registry
+ * @returns {Promise<void>}
+ */
+async function confirmDeletePatient(patient) {
+  if (
+    !confirm(t("patients.confirmDelete").replace("{{value}}", patient.name))
+  ) {
+    return;
+  }
+
+  try {
+    await deletePatient(patient.id);
+    if (selectedPatient && selectedPatient.id === patient.id) {
+      selectPatient(null);
+    }
+    renderPatientList();
+  } catch (error) {
+    console.error("Error deleting patient:", error);
+    patientListEmpty.textContent = "Failed to delete patient: " + error.message;
+    patientListEmpty.style.display = "block";
+  }
+}
+
+/**
+ * Start a new assessment for a registry patient
+ * Closes the registry and resets the form with the patient's gender and
+ * date of birth filled in
+ * @param {Object} patient - Patient from the registry
+ * @returns {void}
+ */
+function startPatientAssessment(patient) {
+  selectPatient(patient);
+  patientsModal.hide();
+  handleBackButton();
+}
+
+/**
+ * Show an error of the survey screen
+ * @param {string|null} message - Error message, or null to hide
+ * @returns {void}
+ */
+function showSurveyError(message) {
+  const surveyError = document.getElementById("surveyError");
+  surveyError.textContent = message || "";
+  surveyError.style.display = message ? "block" : "none";
+}
+
+/**
+ * Read a chosen survey CSV and offer its columns for mapping
+ * Columns and the date format are guessed from the header and dates
+ * @async
+ * @param {Event} e - Change event of the file input
+ * @returns {Promise<void>}
+ */
+async function handleSurveyFile(e) {
+  const file = e.target.files[0];
+  survey = null;
+  showSurveyError(null);
+  document.getElementById("surveyMapping").style.display = "none";
+  document.getElementById("surveyResults").style.display = "none";
+  if (!file) return;
+
+  try {
+    const [header, ...rows] = parseCsv(await file.text());
+    if (!header || rows.length === 0) {
+      throw new Error("Survey file has no data rows");
+    }
+
+    const mapping = guessSurveyMapping(header);
+    surveyColumnSelects.forEach((select) => {
+      select.innerHTML = "";
+      select.add(new Option(t("survey.notMapped"), ""));
+      header.forEach((name, index) => select.add(new Option(name, index)));
+      const column = mapping[select.dataset.field];
+      select.value = column === null ? "" : String(column);
+    });
+    document.getElementById("surveyDateFormat").value = guessSurveyDateFormat(
+      rows,
+      mapping
+    );
+
+    survey = {
+      name: file.name.replace(/\.[^.]*$/, ""),
+      header,
+      rows,
+      results: null,
+    };
+    document.getElementById("surveyMapping").style.display = "block";
+  } catch (error) {
+    console.error("Error reading survey:", error);
+    showSurveyError(error.message);
+  }
+}
+
+/**
+ * Calculate the z-scores of every survey row with the chosen columns
+ * @returns {void}
+ */
+function handleSurveyCalculate() {
+  showSurveyError(null);
+
+  const mapping = {};
+  surveyColumnSelects.forEach((select) => {
+    mapping[select.dataset.field] =
+      select.value === "" ? null : Number(select.value);
+  });
+  if (
+    Object.keys(SURVEY_FIELDS).some(
+      (field) => SURVEY_FIELDS[field].required && mapping[field] === null
+    )
+  ) {
+    showSurveyError("Choose a column for every field except oedema");
+    return;
+  }
+
+  const dateFormat = document.getElementById("surveyDateFormat").value;
+  survey.mapping = mapping;
+  survey.results = survey.rows.map((row) =>
+    assessSurveyRow(row, mapping, dateFormat)
+  );
+  renderSurveyResults();
+  renderSurveyReport();
+  showSurveyView();
+}
+
+/**
+ * Show the survey results table and summary
+ * Rows with errors are red and rows with implausible z-scores yellow;
+ * weight-based z-scores are left out with oedema
+ * @returns {void}
+ */
+function renderSurveyResults() {
+  const { rows, mapping, results } = survey;
+  const body = document.getElementById("surveyResultsBody");
+  body.innerHTML = "";
+
+  results.forEach((result, index) => {
+    const flaggedMetrics = (result.flags || []).map((flag) => flag.metric);
+    const read = (field) => rows[index][mapping[field]] || "";
+
+    const cells = [
+      String(index + 1),
+      read("sex"),
+      result.age === null ? "" : convertToMonths(result.age, "DAY").toFixed(1),
+      read("weight"),
+      read("height"),
+    ];
+    const row = document.createElement("tr");
+    if (result.errors.length > 0) {
+      row.className = "table-danger";
+    } else if (flaggedMetrics.length > 0) {
+      row.className = "table-warning";
+    }
+    cells.forEach((text) => {
+      const cell = document.createElement("td");
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+
+    Object.keys(SURVEY_Z_SCORE_COLUMNS).forEach((metric) => {
+      const cell = document.createElement("td");
+      const indicator = result.indicators && result.indicators[metric];
+      cell.textContent = indicator ? indicator.zScore.toFixed(2) : "";
+      if (flaggedMetrics.includes(metric)) {
+        cell.className = "fw-bold text-danger";
+      }
+      row.appendChild(cell);
+    });
+
+    const notes = document.createElement("td");
+    notes.className = "small";
+    notes.textContent =
+      result.errors.length > 0
+        ? result.errors.join("; ")
+        : flaggedMetrics.length > 0
+        ? t("survey.flagged").replace(
+            "{{value}}",
+            flaggedMetrics
+              .map((metric) => SURVEY_Z_SCORE_COLUMNS[metric])
+              .join(", ")
+          )
+        : result.oedema > 0
+        ? t("survey.oedemaNote")
+        : "";
+    row.appendChild(notes);
+    body.appendChild(row);
+  });
+
+  const invalid = results.filter((result) => result.errors.length > 0).length;
+  const flagged = results.filter(
+    (result) => result.flags && result.flags.length > 0
+  ).length;
+  document.getElementById("surveySummary").textContent = t("survey.summary")
+    .replace("{{total}}", results.length)
+    .replace("{{calculated}}", results.length - invalid)
+    .replace("{{flagged}}", flagged)
+    .replace("{{invalid}}", invalid);
+  document.getElementById("surveyResults").style.display = "block";
+}
+
+/**
+ * Show either the children table or the prevalence report of the survey
+ * @returns {void}
+ */
+function showSurveyView() {
+  const showReport = document.getElementById("surveyViewReport").checked;
+  document.getElementById("surveyChildrenView").style.display = showReport
+    ? "none"
+    : "block";
+  document.getElementById("surveyReport").style.display = showReport
+    ? "block"
+    : "none";
+}
+
+/**
+ * Recalculate the prevalence report with a changed design effect
+ * Values outside the input's range are reset to 1
+ * @param {Event} e - Change event of a design effect input
+ * @returns {void}
+ */
+function changeDesignEffect(e) {
+  const input = e.target;
+  const value = Number(input.value);
+
+  if (
+    input.value === "" ||
+    value < Number(input.min) ||
+    value > Number(input.max)
+  ) {
+    input.value = input.min;
+  }
+
+  if (survey && survey.results) {
+    renderSurveyReport();
+  }
+}
+
+/**
+ * Format a prevalence with its confidence interval for the report
+ * @param {Object|null} interval - Interval from
+ *   calculateProportionInterval()
+ * @returns {string} Cases, percentage and 95% CI, or a dash without
+ *   children
+ */
+function formatPrevalence(interval) {
+  if (!interval) return "—";
+  const percent = (value) => (value * 100).toFixed(1);
+  return `${interval.cases} · ${percent(interval.prevalence)}% (${percent(
+    interval.lower
+  )}–${percent(interval.upper)})`;
+}
+
+/**
+ * Get the label of a prevalence table row
+ * @param {string} group - 'all', 'BOY', 'GIRL' or an age group key such
+ *   as '6-11'
+ * @returns {string} Translated label
+ */
+function formatPrevalenceGroup(group) {
+  if (group === "all") return t("prevalence.all");
+  if (group === "BOY") return t("prevalence.boys");
+  if (group === "GIRL") return t("prevalence.girls");
+  return t("prevalence.ageGroup").replace("{{value}}", group.replace("-", "–"));
+}
+
+/**
+ * Show the WHO/SMART prevalence tables, mean z-scores and z-score
+ * histograms of the survey children without errors
+ * @returns {void}
+ */
+function renderSurveyReport() {
+  const designEffects = {};
+  document
+    .querySelectorAll("#surveyReport input[data-metric]")
+    .forEach((input) => {
+      designEffects[input.dataset.metric] = Number(input.value);
+    });
+  const analysis = analyzePrevalence(
+    survey.results.filter((result) => result.errors.length === 0),
+    designEffects
+  );
+
+  const appendRow = (parent, cells, tag = "td") => {
+    const row = document.createElement("tr");
+    cells.forEach((text) => {
+      const cell = document.createElement(tag);
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    parent.appendChild(row);
+  };
+
+  document.getElementById("prevalenceCount").textContent = t(
+    "prevalence.count"
+  ).replace("{{value}}", analysis.n);
+
+  // One table per indicator, by sex and by age group
+  const tables = document.getElementById("prevalenceTables");
+  tables.innerHTML = "";
+  Object.entries(analysis.prevalence).forEach(([indicator, rows]) => {
+    const heading = document.createElement("h6");
+    heading.textContent = t(`prevalence.${indicator}`);
+    tables.appendChild(heading);
+
+    const wrapper = document.createElement("div");
+    wrapper.className = "table-responsive mb-3";
+    const table = document.createElement("table");
+    table.className = "table table-sm align-middle";
+    const head = document.createElement("thead");
+    const sign = PREVALENCE_INDICATORS[indicator].below ? "< -" : "> +";
+    appendRow(
+      head,
+      [
+        t("prevalence.group"),
+        "n",
+        `${sign}2 SD · % (95% CI)`,
+        `${sign}3 SD · % (95% CI)`,
+      ],
+      "th"
+    );
+    const body = document.createElement("tbody");
+    rows.forEach(({ group, n, sd2, sd3 }) => {
+      appendRow(body, [
+        formatPrevalenceGroup(group),
+        String(n),
+        formatPrevalence(sd2),
+        formatPrevalence(sd3),
+      ]);
+    });
+    table.append(head, body);
+    wrapper.appendChild(table);
+    tables.appendChild(wrapper);
+  });
+
+  // Mean z-scores and their distribution against the reference
+  const meanBody = document.getElementById("meanZScoreBody");
+  const histograms = document.getElementById("zScoreHistograms");
+  meanBody.innerHTML = "";
+  histograms.innerHTML = "";
+  analysis.zScores.forEach((summary) => {
+    const label = SURVEY_Z_SCORE_COLUMNS[summary.metric];
+    appendRow(meanBody, [
+      label,
+      String(summary.n),
+      summary.sd === null
+        ? "—"
+        : `${summary.mean.toFixed(2)} ± ${summary.sd.toFixed(2)}`,
+      summary.sd === null
+        ? "—"
+        : `${summary.lower.toFixed(2)} – ${summary.upper.toFixed(2)}`,
+      String(summary.notAvailable),
+      String(summary.outOfRange),
+    ]);
+
+    const column = document.createElement("div");
+    column.className = "col-md-6";
+    const svg = createSvgElement("svg", { class: "w-100 border rounded" });
+    column.appendChild(svg);
+    histograms.appendChild(column);
+    renderZScoreHistogram(svg, summary.values, label);
+  });
+}
+
+/**
+ * Download the survey with its results appended as CSV
+ * @returns {void}
+ */
+function handleSurveyExport() {
+  downloadFile(
+    `${survey.name}-zscores.csv`,
+    createSurveyCsv(survey.header, survey.rows, survey.results),
+    "text/csv"
+  );
+}
+
 // Start app when DOM is ready
 if (document.readyState === "loading") {
-  document.addEventListener("DOMContentLoaded", initApp);
+  document.addEventListener("DOMContentLoaded", startApp);
 } else {
-  initApp();
+  startApp();
 }
@@ -0,0 +1,289 @@
+// Backup, Restore and Export
+// Patients, visits and settings are written to one versioned JSON file that
+// can be restored on another device; visits can also be exported as CSV
+
+const BACKUP_FORMAT = "doklah-backup";
+const BACKUP_SCHEMA_VERSION = 1;
+
+// CSV column of each stored indicator's z-score
+const VISIT_CSV_Z_SCORE_COLUMNS = {
+  weight: "weight_for_age_z",
+  height: "length_height_for_age_z",
+  weightForHeight: "weight_for_length_height_z",
+  headCircumference: "head_circumference_for_age_z",
+  bmi: "bmi_for_age_z",
+};
+
+/**
+ * Calculate the SHA-256 checksum of backup data
+ * @async
+ * @private
+ * @param {Object} data - Backup data (settings, patients and visits)
+ * @returns {Promise<string>} Hexadecimal digest of the data's JSON
+ */
+async function calculateBackupChecksum(data) {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(JSON.stringify(data))
+  );
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Create a backup of every patient, visit and setting
+ * @async
+ * @returns {Promise<Object>} Backup with format, schemaVersion, createdAt,
+ *   checksum and data ({ settings, patients, visits })
+ */
+async function createBackup() {
+  const { patients, visits } = await exportRegistry();
+  const data = { settings: getSettings(), patients, visits };
+
+  return {
+    format: BACKUP_FORMAT,
+    schemaVersion: BACKUP_SCHEMA_VERSION,
+    createdAt: new Date().toISOString(),
+    checksum: await calculateBackupChecksum(data),
+    data,
+  };
+}
+
+/**
+ * Parse and validate a backup file
+ * Checks the format, schema version and checksum, and that every visit
+ * belongs to a patient in the backup
+ * @async
+ * @param {string} text - Contents of the backup file
+ * @returns {Promise<Object>} Validated backup from createBackup()
+ * @throws {Error} If the file is not a valid, intact backup
+ */
+async function parseBackup(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    throw new Error("Backup file is not valid JSON");
+  }
+
+  if (!backup || backup.format !== BACKUP_FORMAT || !backup.data) {
+    throw new Error("File is not a Doklah backup");
+  }
+  if (
+    !Number.isInteger(backup.schemaVersion) ||
+    backup.schemaVersion > BACKUP_SCHEMA_VERSION
+  ) {
+    throw new Error(
+      `Backup schema version ${backup.schemaVersion} is not supported`
+    );
+  }
+  if (backup.checksum !== (await calculateBackupChecksum(backup.data))) {
+    throw new Error(
+      "Backup checksum does not match; the file is damaged or was edited"
+    );
+  }
+
+  const { settings, patients, visits } = backup.data;
+  const patientIds = new Set(
+    Array.isArray(patients) ? patients.map((patient) => patient.id) : []
+  );
+  const validPatients =
+    Array.isArray(patients) &&
+    patients.every(
+      (patient) =>
+        patient.id &&
+        typeof patient.identifier === "string" &&
+        validatePatient(patient).length === 0
+    );
+  const validVisits =
+    Array.isArray(visits) &&
+    visits.every(
+      (visit) =>
+        visit.id && patientIds.has(visit.patientId) && visit.measurementDate
+    );
+  if (!settings || typeof settings !== "object" || !validPatients) {
+    throw new Error("Backup contains invalid settings or patient records");
+  }
+  if (!validVisits) {
+    throw new Error("Backup contains invalid visit records");
+  }
+
+  return backup;
+}
+
+/**
+ * Serialize a value as JSON with object keys sorted, so that records with
+ * the same content compare equal whatever their key order
+ * @private
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON text
+ */
+function formatCanonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(formatCanonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${formatCanonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Summarize what restoring a backup would change on this device
+ * Records are matched by id; records only on this device are kept
+ * @async
+ * @param {Object} backup - Backup from parseBackup() or parseFhirBundle()
+ * @returns {Promise<Object>} { createdAt, patients, visits, settings }, where
+ *   patients and visits count added, updated and unchanged records and
+ *   settings lists the keys whose values change
+ */
+async function summarizeRestore(backup) {
+  const current = await exportRegistry();
+
+  const compare = (incoming, existing) => {
+    const existingById = new Map(existing.map((record) => [record.id, record]));
+    const counts = { added: 0, updated: 0, unchanged: 0 };
+    incoming.forEach((record) => {
+      const match = existingById.get(record.id);
+      if (!match) {
+        counts.added++;
+      } else if (formatCanonicalJson(match) !== formatCanonicalJson(record)) {
+        counts.updated++;
+      } else {
+        counts.unchanged++;
+      }
+    });
+    return counts;
+  };
+
+  const currentSettings = getSettings();
+  return {
+    createdAt: backup.createdAt,
+    patients: compare(backup.data.patients, current.patients),
+    visits: compare(backup.data.visits, current.visits),
+    settings: Object.keys(DEFAULT_SETTINGS).filter(
+      (key) =>
+        key in backup.data.settings &&
+        backup.data.settings[key] !== currentSettings[key]
+    ),
+  };
+}
+
+/**
+ * Restore a backup's patients, visits and settings
+ * Only known settings are restored
+ * @async
+ * @param {Object} backup - Backup from parseBackup() or parseFhirBundle()
+ * @returns {Promise<void>}
+ */
+async function restoreBackup(backup) {
+  const { settings, patients, visits } = backup.data;
+  await importRegistry(patients, visits);
+
+  const restored = getSettings();
+  Object.keys(DEFAULT_SETTINGS).forEach((key) => {
+    if (key in settings) restored[key] = settings[key];
+  });
+  saveSettings(restored);
+}
+
+/**
+ * Quote a CSV field when it contains a separator, quote or line break
+ * Text starting with =, +, - or @ gets a leading ' so spreadsheets do not
+ * run it as a formula; numbers, including negative z-scores, are kept
+ * @param {*} value - Field value; null and undefined become empty
+ * @returns {string} CSV field
+ */
+function formatCsvField(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (/^[=+\-@]/.test(text) && !Number.isFinite(Number(text))) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export every visit with its z-scores as CSV for spreadsheets
+ * One row per visit, ordered by patient name and measurement date;
+ * measurements are in kg and cm, age is corrected for prematurity under 24
+ * months, and z-scores are those calculated against the visit's growth
+ * reference
+ * @async
+ * @returns {Promise<string>} CSV text with a header row
+ */
+async function createVisitsCsv() {
+  const { patients, visits } = await exportRegistry();
+  const patientsById = new Map(
+    patients.map((patient) => [patient.id, patient])
+  );
+
+  const header = [
+    "patient_id",
+    "identifier",
+    "name",
+    "sex",
+    "birth_date",
+    "measurement_date",
+    "corrected_age_days",
+    "gestational_age_days",
+    "weight_kg",
+    "length_height_cm",
+    "measured_length_height_cm",
+    "measurement_position",
+    "head_circumference_cm",
+    "muac_cm",
+    "oedema",
+    "reference",
+    ...Object.values(VISIT_CSV_Z_SCORE_COLUMNS),
+    "classification",
+    "flags",
+  ];
+
+  const rows = visits
+    .filter((visit) => patientsById.has(visit.patientId))
+    .sort(
+      (a, b) =>
+        patientsById
+          .get(a.patientId)
+          .name.localeCompare(patientsById.get(b.patientId).name) ||
+        a.patientId.localeCompare(b.patientId) ||
+        a.measurementDate.localeCompare(b.measurementDate)
+    )
+    .map((visit) => {
+      const patient = patientsById.get(visit.patientId);
+      const indicators = visit.indicators || {};
+      return [
+        patient.id,
+        patient.identifier,
+        patient.name,
+        patient.gender,
+        patient.birthDate,
+        visit.measurementDate,
+        visit.age,
+        visit.gestationalAgeDays,
+        visit.weight,
+        visit.height,
+        visit.measuredHeight,
+        visit.measurementPosition,
+        visit.headCircumference,
+        visit.muac,
+        visit.oedema,
+        visit.reference,
+        ...Object.keys(VISIT_CSV_Z_SCORE_COLUMNS).map((metric) =>
+          indicators[metric] ? indicators[metric].zScore.toFixed(2) : null
+        ),
+        (visit.classification || []).map((outcome) => outcome.id).join(";"),
+        (visit.flags || []).map((flag) => flag.metric).join(";"),
+      ];
+    });
+
+  return [header, ...rows]
+    .map((row) => row.map(formatCsvField).join(","))
+    .join("\r\n");
+}
@@ -1,117 +1,175 @@
 // Growth Chart SVG Generator
 
-/**
- * Create and render SVG growth chart with z-score curves
- * Plots WHO reference curves with z-scores (-2, -1, 0, +1, +2) and patient data point
- * Chart type adapts based on growth stage and available data
- * @async
- * @param {string} metric - Chart metric: 'weight', 'height', or 'bmi'
- * @param {string} gender - Patient gender: 'BOY' or 'GIRL'
- * @param {Object} patientData - Patient assessment data
- * @param {number} patientData.age - Patient age value
- * @param {string} patientData.ageUnit - Patient age unit ('MONTH' or 'YEAR')
- * @param {number} patientData.weight - Patient weight in kg
- * @param {number|null} patientData.height - Patient height in cm (optional)
- * @returns {Promise<void>}
- */
-async function renderGrowthChart(metric, gender, patientData) {
-  const svg = document.getElementById("chartSvg");
-  svg.innerHTML = ""; // Clear previous chart
+const SVG_NS = "http://www.w3.org/2000/svg";
 
-  // Load z-score data
-  await loadZScoreData();
+// Chart dimensions
+const CHART_WIDTH = 800;
+const CHART_HEIGHT = 400;
+const CHART_PADDING = { top: 40, right: 40, bottom: 60, left: 60 };
 
-  // Determine growth stage
-  const growthStage = determineGrowthStage(
-    patientData.age,
-    patientData.ageUnit
-  );
+// Axis titles and measured quantities per age-based chart metric; weights
+// and lengths are shown in the chosen units, BMI always in kg/m²
+const CHART_METRICS = {
+  weight: { title: "Weight", quantity: "weight" },
+  height: { title: "Height", quantity: "length" },
+  headCircumference: { title: "Head circumference", quantity: "length" },
+  bmi: { title: "BMI", unit: "kg/m²" },
+};
 
-  // Get chart data and z-score curves
-  const chartData = getChartDataForGender(gender);
-  if (!chartData || chartData.length === 0) {
-    svg.innerHTML =
-      '<text x="50%" y="50%" text-anchor="middle">No data available</text>';
-    return;
-  }
+// Z-score curve styles: ±3 (purple, dashed), ±2 (black), ±1 (red), 0 (green)
+const Z_SCORE_CURVES = {
+  "-3": { color: "#6f42c1", dashed: true },
+  "-2": { color: "#000000" },
+  "-1": { color: "#dc3545" },
+  0: { color: "#28a745", median: true },
+  1: { color: "#dc3545" },
+  2: { color: "#000000" },
+  3: { color: "#6f42c1", dashed: true },
+};
 
-  // Filter chart data to age range of growth stage
-  const ageRangeConfig = zScoreData?.strategy?.[growthStage]?.ageRange;
-  let filteredChartData = chartData;
+const Z_SCORE_LEGEND = [
+  { label: "z = 0 (Median)", color: "#28a745" },
+  { label: "z = ±1", color: "#dc3545" },
+  { label: "z = ±2", color: "#000000" },
+  { label: "z = ±3", color: "#6f42c1" },
+  { label: "Patient", color: "#ffc107" },
+];
 
-  if (ageRangeConfig) {
-    const minAgeMonths = convertToMonths(
-      ageRangeConfig.min,
-      ageRangeConfig.unit
-    );
-    const maxAgeMonths = convertToMonths(
-      ageRangeConfig.max,
-      ageRangeConfig.unit
-    );
+// Fill colours of classification bands, by rule table badge colour
+const BAND_COLORS = {
+  danger: "#dc3545",
+  warning: "#ffc107",
+  info: "#0dcaf0",
+  success: "#28a745",
+  secondary: "#6c757d",
+};
 
-    filteredChartData = chartData.filter((d) => {
-      const ageMonths = convertToMonths(d.age, d.ageUnit);
-      return ageMonths >= minAgeMonths && ageMonths <= maxAgeMonths;
-    });
-  }
+// Mid-parental target range and predicted adult height bracket colours
+const TARGET_HEIGHT_COLOR = "#0d6efd";
+const PREDICTED_HEIGHT_COLOR = "#fd7e14";
 
-  // Chart dimensions
-  const width = 800;
-  const height = 400;
-  const padding = { top: 40, right: 40, bottom: 60, left: 60 };
+// Z-score histogram bins and colours
+const HISTOGRAM_RANGE = { min: -6, max: 6, binWidth: 0.5 };
+const HISTOGRAM_BAR_COLOR = "#667eea";
+const HISTOGRAM_NORMAL_COLOR = "#28a745";
 
-  const chartWidth = width - padding.left - padding.right;
-  const chartHeight = height - padding.top - padding.bottom;
+// Centile curve styles, labelled at the right end of each curve
+const CENTILE_CURVES = {
+  3: { color: "#000000", label: "3rd" },
+  15: { color: "#dc3545", label: "15th" },
+  50: { color: "#28a745", median: true, label: "50th" },
+  85: { color: "#dc3545", label: "85th" },
+  97: { color: "#000000", label: "97th" },
+};
 
-  // Set SVG dimensions
-  svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+const CENTILE_LEGEND = [
+  { label: "50th (Median)", color: "#28a745" },
+  { label: "15th / 85th", color: "#dc3545" },
+  { label: "3rd / 97th", color: "#000000" },
+  { label: "Patient", color: "#ffc107" },
+];
 
-  // Extract age and metric values
-  const ages = filteredChartData.map((d) => d.normalizedAge);
-  const metricKey = growthStage === "adolescent" ? "bmi" : metric;
-  const values = filteredChartData.map((d) => {
-    if (metricKey === "bmi" && d.weight && d.height) {
-      return calculateBMI(d.weight, d.height);
-    }
-    return metricKey === "weight" ? d.weight : d.height;
+/**
+ * Create an SVG element with attributes
+ * @param {string} tag - SVG tag name (e.g. 'line', 'text')
+ * @param {Object} attributes - Attribute name/value pairs
+ * @param {string|null} text - Optional text content
+ * @returns {SVGElement} Created element
+ */
+function createSvgElement(tag, attributes = {}, text = null) {
+  const element = document.createElementNS(SVG_NS, tag);
+  Object.entries(attributes).forEach(([name, value]) => {
+    element.setAttribute(name, value);
   });
+  if (text !== null) element.textContent = text;
+  return element;
+}
 
-  // Collect all z-score values to include in scaling
-  let allValues = [...values];
-  for (let i = 0; i < filteredChartData.length; i++) {
-    const dataPoint = filteredChartData[i];
-    const zScoreCurves = getZScoreCurves(
-      dataPoint.gender ||
-        (currentPatientData ? currentPatientData.gender : "BOY"),
-      dataPoint.age,
-      dataPoint.ageUnit,
-      metricKey
-    );
-    for (const [zScore, curveValue] of Object.entries(zScoreCurves)) {
-      if (curveValue !== undefined && curveValue !== null) {
-        allValues.push(curveValue);
-      }
+/**
+ * Get the display unit of an age-based chart metric
+ * @param {string} metric - Key of CHART_METRICS
+ * @returns {string} Unit symbol in the chosen unit system
+ */
+function getChartUnit(metric) {
+  const { quantity, unit } = CHART_METRICS[metric];
+  return quantity ? getUnitLabel(quantity) : unit;
+}
+
+/**
+ * Convert a chart metric value (kg, cm or kg/m²) to its display unit
+ * Charts are plotted in metric units and only labelled in the chosen units
+ * @param {number} value - Metric value
+ * @param {string} metric - Key of CHART_METRICS
+ * @returns {number} Value in the display unit
+ */
+function toChartUnits(value, metric) {
+  const { quantity } = CHART_METRICS[metric];
+  return quantity ? toDisplayUnits(value, quantity) : value;
+}
+
+/**
+ * Get the y-axis title of an age-based chart metric
+ * Statures are titled length under 24 months and height from 24 months
+ * @param {string} metric - Key of CHART_METRICS
+ * @param {number[]} ageMonths - Ages plotted on the x-axis, in months
+ * @returns {string} Title such as 'Weight (kg)' or 'Length/height (cm)'
+ */
+function getChartAxisTitle(metric, ageMonths) {
+  let title = CHART_METRICS[metric].title;
+  if (metric === "height") {
+    if (Math.max(...ageMonths) <= RECUMBENT_LENGTH_AGE_MONTHS) {
+      title = "Length";
+    } else if (Math.min(...ageMonths) >= RECUMBENT_LENGTH_AGE_MONTHS) {
+      title = "Height";
+    } else {
+      title = "Length/height";
     }
   }
+  return `${title} (${getChartUnit(metric)})`;
+}
+
+/**
+ * Draw background, grid, axes, ticks and axis titles
+ * Pads the value domain so curves do not touch the chart edges
+ * @param {SVGElement} svg - Target SVG element
+ * @param {Object} options - Frame options
+ * @param {number[]} options.xValues - All x values to fit
+ * @param {number[]} options.yValues - All y values to fit
+ * @param {string} options.xTitle - X-axis title
+ * @param {string} options.yTitle - Y-axis title
+ * @param {Function} options.formatXTick - Formats an x value for a tick label
+ * @param {Function} [options.formatYTick] - Formats a y value for a tick
+ *   label; defaults to rounding
+ * @returns {Object} Scale with toSvgX and toSvgY converters
+ */
+function drawChartFrame(svg, options) {
+  const width = CHART_WIDTH;
+  const height = CHART_HEIGHT;
+  const padding = CHART_PADDING;
 
-  const minAge = Math.min(...ages);
-  const maxAge = Math.max(...ages);
-  const minValue = Math.min(...allValues);
-  const maxValue = Math.max(...allValues);
+  const chartWidth = width - padding.left - padding.right;
+  const chartHeight = height - padding.top - padding.bottom;
+
+  // Set SVG dimensions
+  svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+
+  const minX = Math.min(...options.xValues);
+  const maxX = Math.max(...options.xValues);
+  const minValue = Math.min(...options.yValues);
+  const maxValue = Math.max(...options.yValues);
 
   // Add 10% padding to ranges
-  const ageRange = maxAge - minAge || 1;
+  const xRange = maxX - minX || 1;
   const valueRange = maxValue - minValue || 1;
-  const minAgePadded = minAge - ageRange * 0.05;
-  const maxAgePadded = maxAge + ageRange * 0.05;
+  const minXPadded = minX - xRange * 0.05;
+  const maxXPadded = maxX + xRange * 0.05;
   const minValuePadded = Math.max(0, minValue - valueRange * 0.1);
   const maxValuePadded = maxValue + valueRange * 0.1;
 
   // Helper: Convert data value to SVG coordinate
-  const toSvgX = (age) => {
+  const toSvgX = (x) => {
     return (
-      padding.left +
-      ((age - minAgePadded) / (maxAgePadded - minAgePadded)) * chartWidth
+      padding.left + ((x - minXPadded) / (maxXPadded - minXPadded)) * chartWidth
     );
   };
 
@@ -125,288 +183,933 @@ async function renderGrowthChart(metric, gender, patientData) {
   };
 
   // Background
-  const bg = document.createElementNS("http://www.w3.org/2000/svg", "rect");
-  bg.setAttribute("width", width);
-  bg.setAttribute("height", height);
-  bg.setAttribute("fill", "white");
-  svg.appendChild(bg);
+  svg.appendChild(createSvgElement("rect", { width, height, fill: "white" }));
 
   // Grid lines (horizontal)
   const gridLines = 5;
   for (let i = 0; i <= gridLines; i++) {
     const y = padding.top + (chartHeight / gridLines) * i;
-    const line = document.createElementNS("http://www.w3.org/2000/svg", "line");
-    line.setAttribute("x1", padding.left);
-    line.setAttribute("x2", width - padding.right);
-    line.setAttribute("y1", y);
-    line.setAttribute("y2", y);
-    line.setAttribute("stroke", "#e0e0e0");
-    line.setAttribute("stroke-width", "1");
-    svg.appendChild(line);
+    svg.appendChild(
+      createSvgElement("line", {
+        x1: padding.left,
+        x2: width - padding.right,
+        y1: y,
+        y2: y,
+        stroke: "#e0e0e0",
+        "stroke-width": "1",
+      })
+    );
   }
 
   // Axes
-  const xAxis = document.createElementNS("http://www.w3.org/2000/svg", "line");
-  xAxis.setAttribute("x1", padding.left);
-  xAxis.setAttribute("x2", width - padding.right);
-  xAxis.setAttribute("y1", height - padding.bottom);
-  xAxis.setAttribute("y2", height - padding.bottom);
-  xAxis.setAttribute("stroke", "#2c3e50");
-  xAxis.setAttribute("stroke-width", "2");
-  svg.appendChild(xAxis);
-
-  const yAxis = document.createElementNS("http://www.w3.org/2000/svg", "line");
-  yAxis.setAttribute("x1", padding.left);
-  yAxis.setAttribute("x2", padding.left);
-  yAxis.setAttribute("y1", padding.top);
-  yAxis.setAttribute("y2", height - padding.bottom);
-  yAxis.setAttribute("stroke", "#2c3e50");
-  yAxis.setAttribute("stroke-width", "2");
-  svg.appendChild(yAxis);
+  svg.appendChild(
+    createSvgElement("line", {
+      x1: padding.left,
+      x2: width - padding.right,
+      y1: height - padding.bottom,
+      y2: height - padding.bottom,
+      stroke: "#2c3e50",
+      "stroke-width": "2",
+    })
+  );
+  svg.appendChild(
+    createSvgElement("line", {
+      x1: padding.left,
+      x2: padding.left,
+      y1: padding.top,
+      y2: height - padding.bottom,
+      stroke: "#2c3e50",
+      "stroke-width": "2",
+    })
+  );
 
   // Axis labels and ticks
   const tickCount = 5;
   for (let i = 0; i <= tickCount; i++) {
     // X-axis
-    const age = minAgePadded + ((maxAgePadded - minAgePadded) / tickCount) * i;
-    const xPos = toSvgX(age);
+    const x = minXPadded + ((maxXPadded - minXPadded) / tickCount) * i;
+    const xPos = toSvgX(x);
 
-    const xTick = document.createElementNS(
-      "http://www.w3.org/2000/svg",
-      "line"
+    svg.appendChild(
+      createSvgElement("line", {
+        x1: xPos,
+        x2: xPos,
+        y1: height - padding.bottom,
+        y2: height - padding.bottom + 5,
+        stroke: "#2c3e50",
+      })
     );
-    xTick.setAttribute("x1", xPos);
-    xTick.setAttribute("x2", xPos);
-    xTick.setAttribute("y1", height - padding.bottom);
-    xTick.setAttribute("y2", height - padding.bottom + 5);
-    xTick.setAttribute("stroke", "#2c3e50");
-    svg.appendChild(xTick);
-
-    const xLabel = document.createElementNS(
-      "http://www.w3.org/2000/svg",
-      "text"
+    svg.appendChild(
+      createSvgElement(
+        "text",
+        {
+          x: xPos,
+          y: height - padding.bottom + 20,
+          "text-anchor": "middle",
+          "font-size": "12",
+          fill: "#666",
+        },
+        options.formatXTick(x)
+      )
     );
-    xLabel.setAttribute("x", xPos);
-    xLabel.setAttribute("y", height - padding.bottom + 20);
-    xLabel.setAttribute("text-anchor", "middle");
-    xLabel.setAttribute("font-size", "12");
-    xLabel.setAttribute("fill", "#666");
-    const ageMonths = Math.round(age * 12);
-    xLabel.textContent =
-      ageMonths < 12 ? `${ageMonths}m` : `${Math.round(age)}y`;
-    svg.appendChild(xLabel);
 
     // Y-axis
     const value =
       minValuePadded + ((maxValuePadded - minValuePadded) / tickCount) * i;
     const yPos = toSvgY(value);
 
-    const yTick = document.createElementNS(
-      "http://www.w3.org/2000/svg",
-      "line"
+    svg.appendChild(
+      createSvgElement("line", {
+        x1: padding.left - 5,
+        x2: padding.left,
+        y1: yPos,
+        y2: yPos,
+        stroke: "#2c3e50",
+      })
     );
-    yTick.setAttribute("x1", padding.left - 5);
-    yTick.setAttribute("x2", padding.left);
-    yTick.setAttribute("y1", yPos);
-    yTick.setAttribute("y2", yPos);
-    yTick.setAttribute("stroke", "#2c3e50");
-    svg.appendChild(yTick);
-
-    const yLabel = document.createElementNS(
-      "http://www.w3.org/2000/svg",
-      "text"
+    svg.appendChild(
+      createSvgElement(
+        "text",
+        {
+          x: padding.left - 10,
+          y: yPos + 4,
+          "text-anchor": "end",
+          "font-size": "12",
+          fill: "#666",
+        },
+        (options.formatYTick || Math.round)(value)
+      )
     );
-    yLabel.setAttribute("x", padding.left - 10);
-    yLabel.setAttribute("y", yPos + 4);
-    yLabel.setAttribute("text-anchor", "end");
-    yLabel.setAttribute("font-size", "12");
-    yLabel.setAttribute("fill", "#666");
-    yLabel.textContent = Math.round(value);
-    svg.appendChild(yLabel);
   }
 
   // Axis titles
-  const xTitle = document.createElementNS("http://www.w3.org/2000/svg", "text");
-  xTitle.setAttribute("x", width / 2);
-  xTitle.setAttribute("y", height - 10);
-  xTitle.setAttribute("text-anchor", "middle");
-  xTitle.setAttribute("font-size", "14");
-  xTitle.setAttribute("font-weight", "bold");
-  xTitle.setAttribute("fill", "#2c3e50");
-  xTitle.textContent = "Age";
-  svg.appendChild(xTitle);
-
-  const yTitle = document.createElementNS("http://www.w3.org/2000/svg", "text");
-  yTitle.setAttribute("x", 20);
-  yTitle.setAttribute("y", padding.top - 10);
-  yTitle.setAttribute("text-anchor", "middle");
-  yTitle.setAttribute("font-size", "14");
-  yTitle.setAttribute("font-weight", "bold");
-  yTitle.setAttribute("fill", "#2c3e50");
-  yTitle.setAttribute("transform", `rotate(-90 20 ${padding.top - 10})`);
-
-  if (growthStage === "adolescent") {
-    yTitle.textContent = "BMI (kg/m²)";
-  } else {
-    yTitle.textContent = metricKey === "weight" ? "Weight (kg)" : "Height (cm)";
-  }
-  svg.appendChild(yTitle);
-
-  // Plot z-score curves with colors: -2 (black), -1 (red), 0 (green), +1 (red), +2 (black)
-  const zScoreColors = {
-    "-2": "#000000",
-    "-1": "#dc3545",
-    0: "#28a745",
-    1: "#dc3545",
-    2: "#000000",
-  };
-
-  // Plot all z-score curves across all ages
-  for (const [zScore, color] of Object.entries(zScoreColors)) {
-    let pathData = "";
-
-    for (let i = 0; i < filteredChartData.length; i++) {
-      const dataPoint = filteredChartData[i];
-      const x = toSvgX(dataPoint.normalizedAge);
+  svg.appendChild(
+    createSvgElement(
+      "text",
+      {
+        x: width / 2,
+        y: height - 10,
+        "text-anchor": "middle",
+        "font-size": "14",
+        "font-weight": "bold",
+        fill: "#2c3e50",
+      },
+      options.xTitle
+    )
+  );
+  svg.appendChild(
+    createSvgElement(
+      "text",
+      {
+        x: 20,
+        y: padding.top - 10,
+        "text-anchor": "middle",
+        "font-size": "14",
+        "font-weight": "bold",
+        fill: "#2c3e50",
+        transform: `rotate(-90 20 ${padding.top - 10})`,
+      },
+      options.yTitle
+    )
+  );
 
-      // Get z-score curves for this specific age
-      const zScoreCurves = getZScoreCurves(
-        gender,
-        dataPoint.age,
-        dataPoint.ageUnit,
-        metricKey
-      );
-      const curveValue = zScoreCurves[zScore];
+  return { toSvgX, toSvgY };
+}
 
-      if (curveValue === undefined || curveValue === null) continue;
+/**
+ * Plot reference curves (z-score or centile) as SVG paths
+ * @param {SVGElement} svg - Target SVG element
+ * @param {Object} scale - Scale from drawChartFrame()
+ * @param {Array<Object>} points - Points with x and curves (values keyed like styles)
+ * @param {Object} styles - Curve styles keyed by z-score or centile
+ *   (Z_SCORE_CURVES or CENTILE_CURVES)
+ * @returns {void}
+ */
+function drawReferenceCurves(svg, scale, points, styles) {
+  for (const [key, style] of Object.entries(styles)) {
+    let pathData = "";
+    let lastPoint = null;
 
-      let y;
-      if (growthStage === "adolescent") {
-        // For adolescents, the z-score value IS the BMI value
-        y = toSvgY(curveValue);
-      } else {
-        // For infant/child, the z-score value IS the weight/height value
-        y = toSvgY(curveValue);
-      }
+    points.forEach((point) => {
+      const curveValue = point.curves[key];
+      if (curveValue === undefined || curveValue === null) return;
 
+      const x = scale.toSvgX(point.x);
+      const y = scale.toSvgY(curveValue);
       pathData += (pathData === "" ? "M" : "L") + x + " " + y;
-    }
+      lastPoint = { x, y };
+    });
 
     if (pathData) {
-      const path = document.createElementNS(
-        "http://www.w3.org/2000/svg",
-        "path"
+      svg.appendChild(
+        createSvgElement("path", {
+          d: pathData,
+          stroke: style.color,
+          "stroke-width": style.median ? "3" : "2",
+          fill: "none",
+          "stroke-linecap": "round",
+          "stroke-linejoin": "round",
+          opacity: style.median ? "1" : "0.7",
+          "stroke-dasharray": style.dashed ? "6 4" : "none",
+        })
+      );
+    }
+
+    if (lastPoint && style.label) {
+      svg.appendChild(
+        createSvgElement(
+          "text",
+          {
+            x: lastPoint.x + 4,
+            y: lastPoint.y + 4,
+            "font-size": "10",
+            fill: style.color,
+          },
+          style.label
+        )
       );
-      path.setAttribute("d", pathData);
-      path.setAttribute("stroke", color);
-      path.setAttribute("stroke-width", zScore === "0" ? "3" : "2");
-      path.setAttribute("fill", "none");
-      path.setAttribute("stroke-linecap", "round");
-      path.setAttribute("stroke-linejoin", "round");
-      path.setAttribute("opacity", zScore === "0" ? "1" : "0.7");
-      svg.appendChild(path);
     }
   }
+}
+
+/**
+ * Shade the classification bands of an indicator's rule table
+ * Each band fills the area between the curves at its z-score cut-offs;
+ * open-ended bands extend to the edge of the plot area, and bands limited
+ * to an age range only cover the points in that range
+ * @param {SVGElement} svg - Target SVG element
+ * @param {Object} scale - Scale from drawChartFrame()
+ * @param {Array<Object>} points - Points with x, cutoffs (values keyed by
+ *   cut-off z-score) and, on age charts, ageMonths
+ * @param {Array<Object>} bands - Bands from getClassificationBands()
+ * @returns {void}
+ */
+function drawClassificationBands(svg, scale, points, bands) {
+  const plotTop = CHART_PADDING.top;
+  const plotBottom = CHART_HEIGHT - CHART_PADDING.bottom;
+  const edgeY = (point, zScore, fallback) =>
+    zScore === undefined
+      ? fallback
+      : Math.min(
+          plotBottom,
+          Math.max(plotTop, scale.toSvgY(point.cutoffs[zScore]))
+        );
+
+  bands.forEach((band) => {
+    const bandPoints = points.filter(
+      (point) =>
+        (!band.ageMonths ||
+          isWithinAgeRange(band.ageMonths, point.ageMonths)) &&
+        (band.min === undefined || point.cutoffs[band.min] !== undefined) &&
+        (band.max === undefined || point.cutoffs[band.max] !== undefined)
+    );
+    if (bandPoints.length < 2) return;
+
+    const upper = bandPoints.map(
+      (point) => `${scale.toSvgX(point.x)} ${edgeY(point, band.max, plotTop)}`
+    );
+    const lower = bandPoints
+      .map(
+        (point) =>
+          `${scale.toSvgX(point.x)} ${edgeY(point, band.min, plotBottom)}`
+      )
+      .reverse();
+
+    svg.appendChild(
+      createSvgElement("path", {
+        d: `M${upper.join("L")}L${lower.join("L")}Z`,
+        fill: BAND_COLORS[band.color] || BAND_COLORS.secondary,
+        opacity: "0.1",
+        stroke: "none",
+      })
+    );
+  });
+}
+
+/**
+ * Get curve values, styles and legend for the selected chart curve mode
+ * Reads the 'chartCurveMode' setting: 'zScore' or 'centile'
+ * @returns {Object} Mode with styles, legend and isCentile flag
+ */
+function getChartCurveMode() {
+  const isCentile = getSetting("chartCurveMode") === "centile";
+  return {
+    isCentile,
+    styles: isCentile ? CENTILE_CURVES : Z_SCORE_CURVES,
+    legend: isCentile ? CENTILE_LEGEND : Z_SCORE_LEGEND,
+  };
+}
+
+/**
+ * Draw the highlighted patient point with a value label
+ * @param {SVGElement} svg - Target SVG element
+ * @param {Object} scale - Scale from drawChartFrame()
+ * @param {number} x - Patient x value
+ * @param {number} y - Patient y value
+ * @param {string} labelText - Label shown above the point
+ * @param {string} [details] - Text shown when hovering the point
+ * @returns {void}
+ */
+function drawPatientPoint(svg, scale, x, y, labelText, details) {
+  const px = scale.toSvgX(x);
+  const py = scale.toSvgY(y);
+
+  // Highlight circle
+  svg.appendChild(
+    createSvgElement("circle", {
+      cx: px,
+      cy: py,
+      r: "8",
+      fill: "none",
+      stroke: "#ffc107",
+      "stroke-width": "3",
+    })
+  );
 
   // Patient point
-  if (patientData) {
-    const patientAgeYears =
-      convertToMonths(patientData.age, patientData.ageUnit) / 12;
-    let patientValue = null;
-
-    if (growthStage === "adolescent") {
-      // Calculate BMI for adolescent
-      const height =
-        patientData.height ||
-        getMedianHeightForAge(gender, patientData.age, patientData.ageUnit);
-      if (height) {
-        patientValue = calculateBMI(patientData.weight, height);
+  const point = createSvgElement("circle", {
+    cx: px,
+    cy: py,
+    r: "6",
+    fill: "#ffc107",
+    cursor: "pointer",
+  });
+  if (details) {
+    point.appendChild(createSvgElement("title", {}, details));
+  }
+  svg.appendChild(point);
+
+  // Label
+  svg.appendChild(
+    createSvgElement(
+      "text",
+      {
+        x: px,
+        y: py - 15,
+        "text-anchor": "middle",
+        "font-size": "12",
+        "font-weight": "bold",
+        fill: "#ffc107",
+      },
+      labelText
+    )
+  );
+}
+
+/**
+ * Draw the visits of a child as a trajectory line through their points
+ * Each visit point shows its date, age and value when hovered; the current
+ * assessment is drawn over it with drawPatientPoint()
+ * @param {SVGElement} svg - Target SVG element
+ * @param {Object} scale - Scale from drawChartFrame()
+ * @param {Array<Object>} points - Points with x, y and the visit they plot
+ * @param {Function} describe - Formats a point's value for its hover text
+ * @returns {void}
+ */
+function drawTrajectory(svg, scale, points, describe) {
+  const sorted = [...points].sort((a, b) => a.x - b.x);
+
+  if (sorted.length > 1) {
+    svg.appendChild(
+      createSvgElement("polyline", {
+        points: sorted
+          .map((point) => `${scale.toSvgX(point.x)},${scale.toSvgY(point.y)}`)
+          .join(" "),
+        fill: "none",
+        stroke: "#ffc107",
+        "stroke-width": "2",
+      })
+    );
+  }
+
+  sorted.forEach((point) => {
+    const circle = createSvgElement("circle", {
+      cx: scale.toSvgX(point.x),
+      cy: scale.toSvgY(point.y),
+      r: "4",
+      fill: "#ffc107",
+      stroke: "white",
+      "stroke-width": "1",
+      cursor: "pointer",
+    });
+    circle.appendChild(
+      createSvgElement("title", {}, describeVisit(point.visit, describe(point)))
+    );
+    svg.appendChild(circle);
+  });
+}
+
+/**
+ * Describe a visit for the hover text of its chart point
+ * @param {Object} visit - Visit or current assessment with measurementDate,
+ *   age and ageUnit
+ * @param {string} valueText - Formatted value plotted for the visit
+ * @returns {string} Text such as '2025-03-10 · 6 months · 7.9 kg'
+ */
+function describeVisit(visit, valueText) {
+  return [
+    visit.measurementDate,
+    formatAge(visit.age, visit.ageUnit),
+    valueText,
+  ].join(" · ");
+}
+
+/**
+ * Get the value of a chart metric for an assessment or visit
+ * BMI of adolescents without a measured height uses the median height for
+ * age
+ * @param {string} metric - Chart metric: 'weight', 'height',
+ *   'headCircumference' or 'bmi'
+ * @param {string} gender - Patient gender: 'BOY' or 'GIRL'
+ * @param {Object} data - Assessment or visit with age, ageUnit and the
+ *   measurements in kg and cm
+ * @returns {number|null} Metric value, or null if not measured
+ */
+function getChartMetricValue(metric, gender, data) {
+  if (metric !== "bmi") {
+    return data[metric] === undefined ? null : data[metric];
+  }
+
+  const height =
+    data.height ||
+    (determineGrowthStage(data.age, data.ageUnit) === "adolescent"
+      ? getMedianHeightForAge(gender, data.age, data.ageUnit)
+      : null);
+  return height && data.weight ? calculateBMI(data.weight, height) : null;
+}
+
+/**
+ * Format a chart metric value with its display unit
+ * @param {number} value - Value in kg, cm or kg/m²
+ * @param {string} metric - Chart metric
+ * @returns {string} Text such as '7.9 kg' or '17.4 lb'
+ */
+function formatChartValue(value, metric) {
+  return `${toChartUnits(value, metric).toFixed(1)} ${getChartUnit(metric)}`;
+}
+
+/**
+ * Draw the chart legend in the top-right corner
+ * @param {SVGElement} svg - Target SVG element
+ * @param {Array<Object>} items - Legend items with label and color
+ * @returns {void}
+ */
+function drawLegend(svg, items) {
+  const legendX = CHART_WIDTH - 150;
+  const legendY = CHART_PADDING.top + 10;
+
+  items.forEach((item, idx) => {
+    const y = legendY + idx * 20;
+
+    svg.appendChild(
+      createSvgElement("rect", {
+        x: legendX,
+        y: y - 6,
+        width: 12,
+        height: 12,
+        fill: item.color,
+      })
+    );
+    svg.appendChild(
+      createSvgElement(
+        "text",
+        { x: legendX + 16, y: y + 4, "font-size": "11", fill: "#333" },
+        item.label
+      )
+    );
+  });
+}
+
+/**
+ * Create and render SVG growth chart with z-score or centile curves
+ * Plots WHO reference curves (z-scores -3 to +3, or the 3rd/15th/50th/85th/97th
+ * centiles when the 'chartCurveMode' setting is 'centile') and patient data point
+ * The x-axis spans the patient's growth stage, widened to every stage the
+ * earlier visits fall in; height charts with parents' heights extend to
+ * adult age and show the mid-parental target bracket
+ * Earlier visits of the same child are joined to the patient point as a
+ * trajectory
+ * @async
+ * @param {string} metric - Chart metric: 'weight', 'height', 'headCircumference', 'bmi' or 'weightForHeight'
+ * @param {string} gender - Patient gender: 'BOY' or 'GIRL'
+ * @param {Object} patientData - Patient assessment data
+ * @param {number} patientData.age - Patient age value
+ * @param {string} patientData.ageUnit - Patient age unit ('DAY', 'MONTH' or 'YEAR')
+ * @param {number} patientData.weight - Patient weight in kg
+ * @param {number|null} patientData.height - Patient height in cm (optional)
+ * @param {number|null} patientData.headCircumference - Patient head circumference in cm (optional)
+ * @param {number|null} patientData.motherHeight - Mother's height in cm (optional)
+ * @param {number|null} patientData.fatherHeight - Father's height in cm (optional)
+ * @param {Array<Object>} [patientData.visits] - Earlier visits of the same
+ *   child with the same fields and their measurementDate
+ * @returns {Promise<void>}
+ */
+async function renderGrowthChart(metric, gender, patientData) {
+  if (metric === "weightForHeight") {
+    return renderWeightForHeightChart(gender, patientData);
+  }
+
+  const svg = document.getElementById("chartSvg");
+  svg.innerHTML = ""; // Clear previous chart
+
+  // Load z-score data and classification rules
+  await loadZScoreData();
+  await loadClassificationRules();
+
+  // Determine growth stage
+  const growthStage = determineGrowthStage(
+    patientData.age,
+    patientData.ageUnit
+  );
+
+  // Get chart data and z-score curves
+  const chartData = getChartDataForGender(gender);
+  if (!chartData || chartData.length === 0) {
+    svg.innerHTML =
+      '<text x="50%" y="50%" text-anchor="middle">No data available</text>';
+    return;
+  }
+
+  // Height charts with a mid-parental target extend to adult age
+  const targetHeight =
+    metric === "height" && patientData
+      ? calculateMidParentalHeight(
+          gender,
+          patientData.motherHeight,
+          patientData.fatherHeight
+        )
+      : null;
+
+  // Earlier visits from term-equivalent age on (no reference covers
+  // preterm visits)
+  const visits = (patientData.visits || []).filter(
+    (visit) => determineGrowthStage(visit.age, visit.ageUnit) !== "preterm"
+  );
+
+  // Filter chart data to the age ranges of the growth stages the visits span
+  const ageRanges = [
+    ...new Set([
+      growthStage,
+      ...visits.map((visit) => determineGrowthStage(visit.age, visit.ageUnit)),
+    ]),
+  ]
+    .map((stage) => zScoreData?.strategy?.[stage]?.ageRange)
+    .filter(Boolean);
+  let filteredChartData = chartData;
+
+  if (ageRanges.length > 0) {
+    const minAgeMonths = Math.min(
+      ...ageRanges.map((range) => convertToMonths(range.min, range.unit))
+    );
+    const maxAgeMonths = targetHeight
+      ? ADULT_HEIGHT_AGE_YEARS * 12
+      : Math.max(
+          ...ageRanges.map((range) => convertToMonths(range.max, range.unit))
+        );
+
+    filteredChartData = chartData.filter((d) => {
+      const ageMonths = convertToMonths(d.age, d.ageUnit);
+      return ageMonths >= minAgeMonths && ageMonths <= maxAgeMonths;
+    });
+  }
+
+  // Extract metric values (child data only has weight and height)
+  const metricKey = metric;
+  const values = filteredChartData
+    .map((d) => {
+      if (metricKey === "bmi" && d.weight && d.height) {
+        return calculateBMI(d.weight, d.height);
       }
-    } else {
-      // Use weight or height for infant/child
-      patientValue =
-        metricKey === "weight" ? patientData.weight : patientData.height;
-    }
+      return d[metricKey];
+    })
+    .filter((value) => value !== undefined && value !== null);
 
-    // Only render patient point if the metric value is available
-    if (patientValue !== null && patientValue !== undefined) {
-      const px = toSvgX(patientAgeYears);
-      const py = toSvgY(patientValue);
+  // Z-score or centile curves at every reference age
+  const curveMode = getChartCurveMode();
+  const getCurves = curveMode.isCentile ? getCentileCurves : getZScoreCurves;
+  const curvePoints = filteredChartData.map((dataPoint) => ({
+    x: dataPoint.normalizedAge,
+    ageMonths: convertToMonths(dataPoint.age, dataPoint.ageUnit),
+    curves: getCurves(gender, dataPoint.age, dataPoint.ageUnit, metricKey),
+    cutoffs: getClassificationCutoffCurves(
+      gender,
+      dataPoint.age,
+      dataPoint.ageUnit,
+      metricKey
+    ),
+  }));
 
-      // Highlight circle
-      const highlight = document.createElementNS(
-        "http://www.w3.org/2000/svg",
-        "circle"
-      );
-      highlight.setAttribute("cx", px);
-      highlight.setAttribute("cy", py);
-      highlight.setAttribute("r", "8");
-      highlight.setAttribute("fill", "none");
-      highlight.setAttribute("stroke", "#ffc107");
-      highlight.setAttribute("stroke-width", "3");
-      svg.appendChild(highlight);
-
-      // Patient point
-      const patientPoint = document.createElementNS(
-        "http://www.w3.org/2000/svg",
-        "circle"
-      );
-      patientPoint.setAttribute("cx", px);
-      patientPoint.setAttribute("cy", py);
-      patientPoint.setAttribute("r", "6");
-      patientPoint.setAttribute("fill", "#ffc107");
-      patientPoint.setAttribute("cursor", "pointer");
-      svg.appendChild(patientPoint);
-
-      // Label
-      const label = document.createElementNS(
-        "http://www.w3.org/2000/svg",
-        "text"
-      );
-      label.setAttribute("x", px);
-      label.setAttribute("y", py - 15);
-      label.setAttribute("text-anchor", "middle");
-      label.setAttribute("font-size", "12");
-      label.setAttribute("font-weight", "bold");
-      label.setAttribute("fill", "#ffc107");
-      if (growthStage === "adolescent") {
-        label.textContent = `${patientValue.toFixed(1)} BMI`;
-      } else {
-        label.textContent = `${patientValue.toFixed(1)} ${
-          metricKey === "weight" ? "kg" : "cm"
-        }`;
+  // Only ages with reference curves define the x-axis
+  const ages = curvePoints
+    .filter((point) => Object.keys(point.curves).length > 0)
+    .map((point) => point.x);
+
+  // Every visit with the metric measured, the current assessment last
+  const trajectory = [...visits, patientData]
+    .map((visit) => ({
+      x: convertToMonths(visit.age, visit.ageUnit) / 12,
+      y: getChartMetricValue(metricKey, gender, visit),
+      visit,
+    }))
+    .filter((point) => point.y !== null);
+
+  // Collect all z-score values to include in scaling
+  let allValues = [...values, ...trajectory.map((point) => point.y)];
+  curvePoints.forEach((point) => {
+    for (const curveValue of Object.values(point.curves)) {
+      if (curveValue !== undefined && curveValue !== null) {
+        allValues.push(curveValue);
       }
-      svg.appendChild(label);
     }
+  });
+
+  // Target range and predicted adult height are plotted at 18-19 years
+  const predictedHeight = targetHeight
+    ? predictAdultHeight(
+        gender,
+        patientData.age,
+        patientData.ageUnit,
+        patientData.height
+      )
+    : null;
+  if (targetHeight) {
+    allValues.push(targetHeight.min, targetHeight.max);
+  }
+  if (predictedHeight) {
+    allValues.push(predictedHeight.height);
+  }
+
+  const scale = drawChartFrame(svg, {
+    xValues: ages,
+    yValues: allValues,
+    xTitle: "Age",
+    yTitle: getChartAxisTitle(
+      metricKey,
+      ages.map((age) => age * 12)
+    ),
+    formatXTick: (age) => {
+      const ageMonths = Math.round(age * 12);
+      return ageMonths < 12 ? `${ageMonths}m` : `${Math.round(age)}y`;
+    },
+    formatYTick: (value) => Math.round(toChartUnits(value, metricKey)),
+  });
+
+  // Classification bands behind the reference curves
+  drawClassificationBands(
+    svg,
+    scale,
+    curvePoints,
+    getClassificationBands(metricKey)
+  );
+
+  // Plot all reference curves across all ages
+  drawReferenceCurves(svg, scale, curvePoints, curveMode.styles);
+
+  // Trajectory of earlier visits and the patient point
+  drawTrajectory(svg, scale, trajectory, (point) =>
+    formatChartValue(point.y, metricKey)
+  );
+  const current = trajectory.find((point) => point.visit === patientData);
+  if (current) {
+    const labelText = formatChartValue(current.y, metricKey);
+    drawPatientPoint(
+      svg,
+      scale,
+      current.x,
+      current.y,
+      labelText,
+      describeVisit(patientData, labelText)
+    );
+  }
+
+  // Mid-parental target bracket
+  if (targetHeight) {
+    drawAdultHeightBracket(svg, scale, targetHeight, predictedHeight);
   }
 
   // Legend
-  const legendX = width - 150;
-  const legendY = padding.top + 10;
-  const legendItems = [
-    { label: "z = 0 (Median)", color: "#28a745" },
-    { label: "z = ±1", color: "#dc3545" },
-    { label: "z = ±2", color: "#000000" },
-    { label: "Patient", color: "#ffc107" },
+  drawLegend(
+    svg,
+    targetHeight
+      ? [
+          ...curveMode.legend,
+          { label: "Target height (±2 SD)", color: TARGET_HEIGHT_COLOR },
+          { label: "Predicted adult height", color: PREDICTED_HEIGHT_COLOR },
+        ]
+      : curveMode.legend
+  );
+}
+
+/**
+ * Draw the mid-parental target range as a bracket at 18-19 years
+ * The predicted adult height is marked inside the bracket
+ * @param {SVGElement} svg - Target SVG element
+ * @param {Object} scale - Scale from drawChartFrame()
+ * @param {Object} target - Target from calculateMidParentalHeight()
+ * @param {Object|null} prediction - Prediction from predictAdultHeight()
+ * @returns {void}
+ */
+function drawAdultHeightBracket(svg, scale, target, prediction) {
+  const left = scale.toSvgX(ADULT_HEIGHT_AGE_YEARS - 1);
+  const right = scale.toSvgX(ADULT_HEIGHT_AGE_YEARS);
+  const middle = (left + right) / 2;
+  const top = scale.toSvgY(target.max);
+  const bottom = scale.toSvgY(target.min);
+  const targetY = scale.toSvgY(target.height);
+
+  // Bracket: vertical range with caps at ±2 SD and a tick at the target
+  svg.appendChild(
+    createSvgElement("path", {
+      d: `M${left} ${top}L${right} ${top}M${middle} ${top}L${middle} ${bottom}M${left} ${bottom}L${right} ${bottom}`,
+      stroke: TARGET_HEIGHT_COLOR,
+      "stroke-width": "2",
+      fill: "none",
+    })
+  );
+  svg.appendChild(
+    createSvgElement("line", {
+      x1: left,
+      x2: right,
+      y1: targetY,
+      y2: targetY,
+      stroke: TARGET_HEIGHT_COLOR,
+      "stroke-width": "4",
+    })
+  );
+  svg.appendChild(
+    createSvgElement(
+      "text",
+      {
+        x: left - 6,
+        y: targetY - 6,
+        "text-anchor": "end",
+        "font-size": "11",
+        "font-weight": "bold",
+        fill: TARGET_HEIGHT_COLOR,
+      },
+      `Target ${formatHeight(target.height)}`
+    )
+  );
+
+  if (!prediction) return;
+
+  const predictedY = scale.toSvgY(prediction.height);
+  svg.appendChild(
+    createSvgElement("circle", {
+      cx: middle,
+      cy: predictedY,
+      r: "6",
+      fill: PREDICTED_HEIGHT_COLOR,
+    })
+  );
+  svg.appendChild(
+    createSvgElement(
+      "text",
+      {
+        x: left - 6,
+        y: predictedY + 14,
+        "text-anchor": "end",
+        "font-size": "11",
+        "font-weight": "bold",
+        fill: PREDICTED_HEIGHT_COLOR,
+      },
+      `Predicted ${formatHeight(prediction.height)}`
+    )
+  );
+}
+
+/**
+ * Render weight-for-length/height chart with length or height on the x-axis
+ * Uses the length table under 2 years and the height table from 2 to 5 years;
+ * earlier visits measured against the same table form the trajectory
+ * @async
+ * @param {string} gender - Patient gender: 'BOY' or 'GIRL'
+ * @param {Object} patientData - Patient assessment data
+ * @returns {Promise<void>}
+ */
+async function renderWeightForHeightChart(gender, patientData) {
+  const svg = document.getElementById("chartSvg");
+  svg.innerHTML = ""; // Clear previous chart
+
+  await loadWeightForHeightData();
+  await loadClassificationRules();
+
+  const table = determineWeightForHeightTable(
+    patientData.age,
+    patientData.ageUnit
+  );
+  if (!table) {
+    svg.innerHTML =
+      '<text x="50%" y="50%" text-anchor="middle">No data available</text>';
+    return;
+  }
+
+  const curveMode = getChartCurveMode();
+  const getCurves = curveMode.isCentile
+    ? getWeightForHeightCentileCurves
+    : getWeightForHeightCurves;
+  const curvePoints = weightForHeightData[table]
+    .filter((record) => record.gender === gender)
+    .map((record) => ({
+      x: record[table],
+      curves: getCurves(gender, table, record[table]),
+      cutoffs: getWeightForHeightCutoffCurves(gender, table, record[table]),
+    }));
+
+  // Earlier visits measured against the same length or height table
+  const trajectory = [...(patientData.visits || []), patientData]
+    .filter(
+      (visit) =>
+        visit.height &&
+        determineWeightForHeightTable(visit.age, visit.ageUnit) === table
+    )
+    .map((visit) => ({ x: visit.height, y: visit.weight, visit }));
+
+  const heights = curvePoints.map((point) => point.x);
+  const weights = [
+    ...curvePoints.flatMap((point) => Object.values(point.curves)),
+    ...trajectory.map((point) => point.y),
   ];
 
-  legendItems.forEach((item, idx) => {
-    const y = legendY + idx * 20;
+  const scale = drawChartFrame(svg, {
+    xValues: heights,
+    yValues: weights,
+    xTitle: `${table === "length" ? "Length" : "Height"} (${getUnitLabel(
+      "length"
+    )})`,
+    yTitle: `Weight (${getUnitLabel("weight")})`,
+    formatXTick: (height) => `${Math.round(toDisplayUnits(height, "length"))}`,
+    formatYTick: (weight) => Math.round(toDisplayUnits(weight, "weight")),
+  });
+
+  drawClassificationBands(
+    svg,
+    scale,
+    curvePoints,
+    getClassificationBands("weightForHeight")
+  );
+  drawReferenceCurves(svg, scale, curvePoints, curveMode.styles);
+
+  drawTrajectory(
+    svg,
+    scale,
+    trajectory,
+    (point) => `${formatHeight(point.x)}, ${formatWeight(point.y)}`
+  );
+  if (patientData.height) {
+    drawPatientPoint(
+      svg,
+      scale,
+      patientData.height,
+      patientData.weight,
+      `${toDisplayUnits(patientData.weight, "weight").toFixed(
+        1
+      )} ${getUnitLabel("weight")}`,
+      describeVisit(
+        patientData,
+        `${formatHeight(patientData.height)}, ${formatWeight(
+          patientData.weight
+        )}`
+      )
+    );
+  }
 
-    const rect = document.createElementNS("http://www.w3.org/2000/svg", "rect");
-    rect.setAttribute("x", legendX);
-    rect.setAttribute("y", y - 6);
-    rect.setAttribute("width", 12);
-    rect.setAttribute("height", 12);
-    rect.setAttribute("fill", item.color);
-    svg.appendChild(rect);
-
-    const text = document.createElementNS("http://www.w3.org/2000/svg", "text");
-    text.setAttribute("x", legendX + 16);
-    text.setAttribute("y", y + 4);
-    text.setAttribute("font-size", "11");
-    text.setAttribute("fill", "#333");
-    text.textContent = item.label;
-    svg.appendChild(text);
+  drawLegend(svg, curveMode.legend);
+}
+
+/**
+ * Render the distribution of survey z-scores against the standard normal
+ * curve of the WHO reference population
+ * Bars count children per 0.5 SD; z-scores beyond ±6 fall in the end bins.
+ * The curve is the count expected if the children grew like the reference
+ * @param {SVGElement} svg - Target SVG element
+ * @param {number[]} values - Z-scores
+ * @param {string} title - Chart title, e.g. 'WHZ'
+ * @returns {void}
+ */
+function renderZScoreHistogram(svg, values, title) {
+  svg.innerHTML = "";
+
+  const { min, max, binWidth } = HISTOGRAM_RANGE;
+  const counts = new Array(Math.round((max - min) / binWidth)).fill(0);
+  values.forEach((z) => {
+    const bin = Math.floor((z - min) / binWidth);
+    counts[Math.min(counts.length - 1, Math.max(0, bin))]++;
+  });
+
+  // Expected count per bin under N(0, 1), sampled every 0.1 SD
+  const curve = [];
+  for (let z = min; z <= max + 1e-9; z += 0.1) {
+    curve.push({
+      x: z,
+      y:
+        (values.length * binWidth * Math.exp((-z * z) / 2)) /
+        Math.sqrt(2 * Math.PI),
+    });
+  }
+
+  const scale = drawChartFrame(svg, {
+    xValues: [min, max],
+    yValues: [0, ...counts, ...curve.map((point) => point.y)],
+    xTitle: "Z-score",
+    yTitle: "Children",
+    formatXTick: (x) => x.toFixed(1),
+  });
+
+  counts.forEach((count, index) => {
+    if (count === 0) return;
+    const x = min + index * binWidth;
+    const bar = createSvgElement("rect", {
+      x: scale.toSvgX(x),
+      y: scale.toSvgY(count),
+      width: scale.toSvgX(x + binWidth) - scale.toSvgX(x),
+      height: scale.toSvgY(0) - scale.toSvgY(count),
+      fill: HISTOGRAM_BAR_COLOR,
+      "fill-opacity": "0.6",
+      stroke: "white",
+    });
+    bar.appendChild(
+      createSvgElement(
+        "title",
+        {},
+        `${x.toFixed(1)} to ${(x + binWidth).toFixed(1)}: ${count}`
+      )
+    );
+    svg.appendChild(bar);
   });
+
+  svg.appendChild(
+    createSvgElement("path", {
+      d: curve
+        .map(
+          (point, index) =>
+            `${index === 0 ? "M" : "L"} ${scale.toSvgX(point.x)} ${scale.toSvgY(
+              point.y
+            )}`
+        )
+        .join(" "),
+      fill: "none",
+      stroke: HISTOGRAM_NORMAL_COLOR,
+      "stroke-width": "2",
+    })
+  );
+
+  svg.appendChild(
+    createSvgElement(
+      "text",
+      {
+        x: CHART_WIDTH / 2,
+        y: CHART_PADDING.top - 15,
+        "text-anchor": "middle",
+        "font-size": "16",
+        "font-weight": "bold",
+        fill: "#2c3e50",
+      },
+      title
+    )
+  );
+  drawLegend(svg, [
+    { label: `Survey (n = ${values.length})`, color: HISTOGRAM_BAR_COLOR },
+    { label: "WHO reference", color: HISTOGRAM_NORMAL_COLOR },
+  ]);
 }
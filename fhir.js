@@ -0,0 +1,656 @@
+// FHIR R4 Export and Import
+// Patients and their visits are written as a FHIR R4 transaction Bundle for
+// upload to an HMIS; bundles from other Doklah devices can be imported back
+
+const FHIR_LOINC = "http://loinc.org";
+const FHIR_UCUM = "http://unitsofmeasure.org";
+const FHIR_OBSERVATION_CATEGORY =
+  "http://terminology.hl7.org/CodeSystem/observation-category";
+
+// Doklah systems for identifiers, the growth reference and values that have
+// no LOINC code here
+const FHIR_PATIENT_IDENTIFIER_SYSTEM = "urn:doklah:patient-identifier";
+const FHIR_VISIT_IDENTIFIER_SYSTEM = "urn:doklah:visit";
+const FHIR_OBSERVATION_SYSTEM = "urn:doklah:observation";
+const FHIR_REFERENCE_SYSTEM = "urn:doklah:growth-reference";
+const FHIR_CREATED_EXTENSION = "urn:doklah:created";
+
+// Observations of the visit inputs, read back on import: visit field, code
+// and UCUM unit (null for integer values). Length and height share the
+// measured stature and differ in code by measurement position
+const FHIR_VISIT_OBSERVATIONS = [
+  {
+    key: "weight",
+    field: "weight",
+    system: FHIR_LOINC,
+    code: "29463-7",
+    display: "Body weight",
+    unit: "kg",
+    category: "vital-signs",
+  },
+  {
+    key: "length",
+    field: "measuredHeight",
+    position: "RECUMBENT",
+    system: FHIR_LOINC,
+    code: "8306-3",
+    display: "Body height --lying",
+    unit: "cm",
+    category: "vital-signs",
+  },
+  {
+    key: "height",
+    field: "measuredHeight",
+    position: "STANDING",
+    system: FHIR_LOINC,
+    code: "8302-2",
+    display: "Body height",
+    unit: "cm",
+    category: "vital-signs",
+  },
+  {
+    key: "headCircumference",
+    field: "headCircumference",
+    system: FHIR_LOINC,
+    code: "9843-4",
+    display: "Head Occipital-frontal circumference",
+    unit: "cm",
+    category: "vital-signs",
+  },
+  {
+    key: "muac",
+    field: "muac",
+    system: FHIR_LOINC,
+    code: "56072-2",
+    display: "Circumference Mid upper arm",
+    unit: "cm",
+    category: "exam",
+  },
+  {
+    key: "oedema",
+    field: "oedema",
+    system: FHIR_OBSERVATION_SYSTEM,
+    code: "oedema",
+    display: "Bilateral pitting oedema grade",
+    unit: null,
+    category: "exam",
+  },
+  {
+    key: "gestationalAge",
+    field: "gestationalAgeDays",
+    system: FHIR_OBSERVATION_SYSTEM,
+    code: "gestational-age",
+    display: "Gestational age at birth",
+    unit: "d",
+    category: "exam",
+  },
+  {
+    key: "motherHeight",
+    field: "motherHeight",
+    system: FHIR_OBSERVATION_SYSTEM,
+    code: "mother-height",
+    display: "Mother's height",
+    unit: "cm",
+    category: "social-history",
+  },
+  {
+    key: "fatherHeight",
+    field: "fatherHeight",
+    system: FHIR_OBSERVATION_SYSTEM,
+    code: "father-height",
+    display: "Father's height",
+    unit: "cm",
+    category: "social-history",
+  },
+];
+
+// BMI observation, calculated from the visit and not read back on import
+const FHIR_BMI_OBSERVATION = {
+  key: "bmi",
+  system: FHIR_LOINC,
+  code: "39156-5",
+  display: "Body mass index (BMI) [Ratio]",
+  unit: "kg/m2",
+  category: "vital-signs",
+};
+
+// Z-score observation of each stored indicator, against the visit's growth
+// reference. LOINC has no codes for these z-scores, so they keep Doklah
+// codes; they are read back on import when the bundle's reference is not
+// the active one, and recalculated otherwise
+const FHIR_Z_SCORE_OBSERVATIONS = {
+  weight: { code: "weight-for-age-z", display: "Weight-for-age z-score" },
+  height: {
+    code: "length-height-for-age-z",
+    display: "Length/height-for-age z-score",
+  },
+  weightForHeight: {
+    code: "weight-for-length-height-z",
+    display: "Weight-for-length/height z-score",
+  },
+  headCircumference: {
+    code: "head-circumference-for-age-z",
+    display: "Head circumference-for-age z-score",
+  },
+  bmi: { code: "bmi-for-age-z", display: "BMI-for-age z-score" },
+};
+
+// LOINC percentile observation of the indicators that have one, as in the
+// US Core pediatric profiles; weight-for-length only applies to recumbent
+// length. Not read back on import
+const FHIR_PERCENTILE_OBSERVATIONS = {
+  weightForHeight: {
+    code: "77606-2",
+    display: "Weight-for-length Per age and sex",
+    position: "RECUMBENT",
+  },
+  headCircumference: {
+    code: "8289-1",
+    display: "Head Occipital-frontal circumference Percentile",
+  },
+  bmi: {
+    code: "59576-9",
+    display: "Body mass index (BMI) [Percentile] Per age and sex",
+  },
+};
+
+/**
+ * Derive a stable UUID from a name, so that exporting the same visit again
+ * gives its observations the same ids
+ * @async
+ * @private
+ * @param {string} name - Unique name, e.g. '<visit id>/weight'
+ * @returns {Promise<string>} UUID formatted from the name's SHA-256 digest
+ */
+async function deriveFhirId(name) {
+  const digest = new Uint8Array(
+    await crypto.subtle.digest("SHA-256", new TextEncoder().encode(name))
+  );
+  const hex = Array.from(digest.slice(0, 16))
+    .map((byte, index) => {
+      // Version 5 (name-based) and RFC 4122 variant bits
+      if (index === 6) byte = (byte & 0x0f) | 0x50;
+      if (index === 8) byte = (byte & 0x3f) | 0x80;
+      return byte.toString(16).padStart(2, "0");
+    })
+    .join("");
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    hex.slice(12, 16),
+    hex.slice(16, 20),
+    hex.slice(20),
+  ].join("-");
+}
+
+/**
+ * Create the Bundle entry of a patient
+ * @private
+ * @param {Object} patient - Patient from the registry
+ * @returns {Object} Transaction entry with a Patient resource
+ */
+function createFhirPatientEntry(patient) {
+  return {
+    fullUrl: `urn:uuid:${patient.id}`,
+    resource: {
+      resourceType: "Patient",
+      id: patient.id,
+      meta: { lastUpdated: patient.updatedAt },
+      extension: [
+        { url: FHIR_CREATED_EXTENSION, valueInstant: patient.createdAt },
+      ],
+      identifier: patient.identifier
+        ? [
+            {
+              system: FHIR_PATIENT_IDENTIFIER_SYSTEM,
+              value: patient.identifier,
+            },
+          ]
+        : [],
+      name: [{ text: patient.name }],
+      gender: patient.gender === "BOY" ? "male" : "female",
+      birthDate: patient.birthDate,
+    },
+    request: { method: "PUT", url: `Patient/${patient.id}` },
+  };
+}
+
+/**
+ * Create the Bundle entry of one observation of a visit
+ * @async
+ * @private
+ * @param {Object} visit - Visit from the registry
+ * @param {Object} observation - Observation definition with key, system,
+ *   code, display and category
+ * @param {Object} value - Value elements, e.g. { valueQuantity }
+ * @returns {Promise<Object>} Transaction entry with an Observation resource
+ */
+async function createFhirObservationEntry(visit, observation, value) {
+  const id = await deriveFhirId(`${visit.id}/${observation.key}`);
+  return {
+    fullUrl: `urn:uuid:${id}`,
+    resource: {
+      resourceType: "Observation",
+      id,
+      meta: { lastUpdated: visit.updatedAt },
+      identifier: [{ system: FHIR_VISIT_IDENTIFIER_SYSTEM, value: visit.id }],
+      status: "final",
+      category: [
+        {
+          coding: [
+            { system: FHIR_OBSERVATION_CATEGORY, code: observation.category },
+          ],
+        },
+      ],
+      code: {
+        coding: [
+          {
+            system: observation.system,
+            code: observation.code,
+            display: observation.display,
+          },
+        ],
+        text: observation.display,
+      },
+      subject: { reference: `urn:uuid:${visit.patientId}` },
+      effectiveDateTime: visit.measurementDate,
+      issued: visit.createdAt,
+      ...value,
+    },
+    request: { method: "PUT", url: `Observation/${id}` },
+  };
+}
+
+/**
+ * Format a value as a FHIR Quantity with its UCUM unit
+ * @private
+ * @param {number} value - Value
+ * @param {string} unit - UCUM unit code
+ * @returns {Object} { valueQuantity }
+ */
+function toFhirQuantity(value, unit) {
+  return { valueQuantity: { value, unit, system: FHIR_UCUM, code: unit } };
+}
+
+/**
+ * Create the Bundle entries of a visit's measurements, z-scores and
+ * percentiles
+ * @async
+ * @private
+ * @param {Object} visit - Visit from the registry
+ * @returns {Promise<Array<Object>>} Transaction entries
+ */
+async function createFhirVisitEntries(visit) {
+  const entries = [];
+
+  for (const observation of FHIR_VISIT_OBSERVATIONS) {
+    const value = visit[observation.field];
+    if (value === null || value === undefined || value === 0) continue;
+    if (
+      observation.position &&
+      observation.position !== visit.measurementPosition
+    ) {
+      continue;
+    }
+
+    entries.push(
+      await createFhirObservationEntry(
+        visit,
+        observation,
+        observation.unit
+          ? toFhirQuantity(value, observation.unit)
+          : { valueInteger: value }
+      )
+    );
+  }
+
+  if (visit.height) {
+    entries.push(
+      await createFhirObservationEntry(
+        visit,
+        FHIR_BMI_OBSERVATION,
+        toFhirQuantity(
+          Math.round(calculateBMI(visit.weight, visit.height) * 100) / 100,
+          FHIR_BMI_OBSERVATION.unit
+        )
+      )
+    );
+  }
+
+  const method = {
+    coding: [{ system: FHIR_REFERENCE_SYSTEM, code: visit.reference }],
+  };
+
+  for (const [metric, zScoreObservation] of Object.entries(
+    FHIR_Z_SCORE_OBSERVATIONS
+  )) {
+    const indicator = visit.indicators && visit.indicators[metric];
+    if (!indicator) continue;
+
+    entries.push(
+      await createFhirObservationEntry(
+        visit,
+        {
+          ...zScoreObservation,
+          key: `${metric}Z`,
+          system: FHIR_OBSERVATION_SYSTEM,
+          category: "exam",
+        },
+        {
+          valueQuantity: {
+            value: Math.round(indicator.zScore * 100) / 100,
+            unit: "SD",
+            system: FHIR_UCUM,
+            code: "{SD}",
+          },
+          method,
+        }
+      )
+    );
+
+    const percentileObservation = FHIR_PERCENTILE_OBSERVATIONS[metric];
+    if (
+      !percentileObservation ||
+      (percentileObservation.position &&
+        percentileObservation.position !== visit.measurementPosition)
+    ) {
+      continue;
+    }
+    entries.push(
+      await createFhirObservationEntry(
+        visit,
+        {
+          ...percentileObservation,
+          key: `${metric}Percentile`,
+          system: FHIR_LOINC,
+          category: "vital-signs",
+        },
+        {
+          ...toFhirQuantity(Math.round(indicator.percentile * 10) / 10, "%"),
+          method,
+        }
+      )
+    );
+  }
+
+  return entries;
+}
+
+/**
+ * Create a FHIR R4 transaction Bundle of every patient and visit
+ * Each patient becomes a Patient resource and each visit a set of
+ * Observations (weight, length or height, head circumference, BMI, MUAC,
+ * the z-scores and percentiles) sharing the visit identifier. Units are
+ * UCUM and the z-scores and percentiles name their growth reference
+ * @async
+ * @returns {Promise<Object>} Bundle resource
+ */
+async function createFhirBundle() {
+  const { patients, visits } = await exportRegistry();
+  const patientIds = new Set(patients.map((patient) => patient.id));
+
+  const entry = patients.map(createFhirPatientEntry);
+  for (const visit of visits) {
+    if (patientIds.has(visit.patientId)) {
+      entry.push(...(await createFhirVisitEntries(visit)));
+    }
+  }
+
+  return {
+    resourceType: "Bundle",
+    type: "transaction",
+    timestamp: new Date().toISOString(),
+    entry,
+  };
+}
+
+/**
+ * Check whether a file holds a FHIR Bundle rather than a Doklah backup
+ * @param {string} text - File contents
+ * @returns {boolean} True for a JSON FHIR Bundle
+ */
+function isFhirBundle(text) {
+  try {
+    return JSON.parse(text).resourceType === "Bundle";
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Read a patient from its Bundle resource
+ * @private
+ * @param {Object} resource - Patient resource
+ * @returns {Object} Patient for the registry
+ */
+function fromFhirPatient(resource) {
+  const identifier = (resource.identifier || []).find(
+    (item) => item.system === FHIR_PATIENT_IDENTIFIER_SYSTEM
+  );
+  const created = (resource.extension || []).find(
+    (item) => item.url === FHIR_CREATED_EXTENSION
+  );
+  const name = (resource.name || [])[0] || {};
+  const updatedAt =
+    (resource.meta && resource.meta.lastUpdated) || new Date().toISOString();
+
+  return {
+    id: resource.id,
+    identifier: identifier ? identifier.value : "",
+    name: name.text || [...(name.given || []), name.family].join(" ").trim(),
+    gender: { male: "BOY", female: "GIRL" }[resource.gender] || null,
+    birthDate: resource.birthDate,
+    createdAt: created ? created.valueInstant : updatedAt,
+    updatedAt,
+  };
+}
+
+/**
+ * Read the growth reference a visit's z-scores were calculated against
+ * @private
+ * @param {Array<Object>} observations - Observation resources of the visit
+ * @returns {string|null} Reference id, or null if no z-score names one
+ */
+function readFhirReference(observations) {
+  for (const resource of observations) {
+    const coding = ((resource.method || {}).coding || []).find(
+      (item) => item.system === FHIR_REFERENCE_SYSTEM
+    );
+    if (coding) return coding.code;
+  }
+  return null;
+}
+
+/**
+ * Read the z-scores of a visit from its Observations
+ * @private
+ * @param {Array<Object>} observations - Observation resources of the visit
+ * @param {Object} visit - Visit rebuilt from the measurements
+ * @returns {Object} Indicators keyed by metric, as from
+ *   calculateIndicators(); null where the bundle has no z-score
+ */
+function readFhirIndicators(observations, visit) {
+  const values = {
+    weight: visit.weight,
+    height: visit.height,
+    weightForHeight: visit.weight,
+    headCircumference: visit.headCircumference,
+    bmi: visit.height ? calculateBMI(visit.weight, visit.height) : null,
+  };
+
+  const indicators = {};
+  Object.entries(FHIR_Z_SCORE_OBSERVATIONS).forEach(([metric, definition]) => {
+    const resource = observations.find((item) =>
+      (item.code.coding || []).some(
+        (coding) =>
+          coding.system === FHIR_OBSERVATION_SYSTEM &&
+          coding.code === definition.code
+      )
+    );
+    const zScore = resource ? resource.valueQuantity.value : null;
+    indicators[metric] =
+      zScore === null
+        ? null
+        : {
+            value: values[metric],
+            zScore,
+            percentile: calculatePercentileFromZScore(zScore),
+          };
+  });
+  return indicators;
+}
+
+/**
+ * Rebuild a visit from its Observations
+ * Measurements are read back and the age and length/height adjustment are
+ * recalculated. The visit keeps the growth reference recorded in the
+ * bundle: its z-scores are recalculated when that is the active reference,
+ * and read from the bundle otherwise; the classification and flags follow
+ * from them
+ * @private
+ * @param {string} id - Visit id
+ * @param {Array<Object>} observations - Observation resources of the visit
+ * @param {Object} patient - Patient the visit belongs to
+ * @returns {Object} Visit for the registry
+ */
+function fromFhirObservations(id, observations, patient) {
+  const first = observations[0];
+  const visit = {
+    gender: patient.gender,
+    weight: null,
+    height: null,
+    measuredHeight: null,
+    measurementPosition: null,
+    headCircumference: null,
+    age: null,
+    ageUnit: "DAY",
+    birthDate: patient.birthDate,
+    measurementDate: first.effectiveDateTime.slice(0, 10),
+    gestationalAgeDays: null,
+    motherHeight: null,
+    fatherHeight: null,
+    muac: null,
+    oedema: 0,
+    reference: readFhirReference(observations) || getActiveReference().id,
+  };
+
+  observations.forEach((resource) => {
+    const coding = resource.code.coding || [];
+    const observation = FHIR_VISIT_OBSERVATIONS.find((definition) =>
+      coding.some(
+        (item) =>
+          item.system === definition.system && item.code === definition.code
+      )
+    );
+    if (!observation) return;
+
+    visit[observation.field] = observation.unit
+      ? resource.valueQuantity.value
+      : resource.valueInteger;
+    if (observation.position) {
+      visit.measurementPosition = observation.position;
+    }
+  });
+
+  visit.age = calculateCorrectedAge(
+    calculateAgeInDays(patient.birthDate, visit.measurementDate),
+    visit.gestationalAgeDays
+  );
+  visit.measurementPosition =
+    visit.measurementPosition || getExpectedMeasurementPosition(visit.age);
+  visit.height = visit.measuredHeight
+    ? adjustForMeasurementPosition(
+        visit.measuredHeight,
+        visit.measurementPosition,
+        visit.age
+      )
+    : null;
+
+  const updatedAt =
+    (first.meta && first.meta.lastUpdated) || new Date().toISOString();
+  const assessment =
+    visit.reference === getActiveReference().id
+      ? assessVisit(visit)
+      : assessVisit(visit, readFhirIndicators(observations, visit));
+  return {
+    ...visit,
+    ...assessment,
+    patientId: patient.id,
+    id,
+    createdAt: first.issued || updatedAt,
+    updatedAt,
+  };
+}
+
+/**
+ * Parse and validate a FHIR Bundle exported by a Doklah device
+ * Patients are read from Patient resources and visits rebuilt from the
+ * Observations sharing a visit identifier. Requires the data of
+ * calculateIndicators() and loadClassificationRules()
+ * @param {string} text - Contents of the bundle file
+ * @returns {Object} Backup-shaped import for summarizeRestore() and
+ *   restoreBackup(), with no settings
+ * @throws {Error} If the file is not a valid Doklah FHIR bundle
+ */
+function parseFhirBundle(text) {
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
+  } catch (error) {
+    throw new Error("FHIR file is not valid JSON");
+  }
+  if (!bundle || bundle.resourceType !== "Bundle") {
+    throw new Error("File is not a FHIR Bundle");
+  }
+
+  const resources = (bundle.entry || []).map((entry) => entry.resource || {});
+  const patients = resources
+    .filter((resource) => resource.resourceType === "Patient")
+    .map(fromFhirPatient);
+  if (
+    patients.some(
+      (patient) => !patient.id || validatePatient(patient).length > 0
+    )
+  ) {
+    throw new Error("FHIR Bundle contains invalid Patient resources");
+  }
+  const patientsById = new Map(
+    patients.map((patient) => [patient.id, patient])
+  );
+
+  // Group the observations of each visit by their visit identifier
+  const observationsByVisit = new Map();
+  resources
+    .filter((resource) => resource.resourceType === "Observation")
+    .forEach((resource) => {
+      const identifier = (resource.identifier || []).find(
+        (item) => item.system === FHIR_VISIT_IDENTIFIER_SYSTEM
+      );
+      if (!identifier) return;
+      if (!observationsByVisit.has(identifier.value)) {
+        observationsByVisit.set(identifier.value, []);
+      }
+      observationsByVisit.get(identifier.value).push(resource);
+    });
+
+  const visits = [...observationsByVisit].map(([id, observations]) => {
+    const reference = (observations[0].subject || {}).reference || "";
+    const patient = patientsById.get(
+      reference.replace(/^(urn:uuid:|Patient\/)/, "")
+    );
+    if (!patient || !observations[0].effectiveDateTime) {
+      throw new Error(
+        "FHIR Bundle contains Observations without their Patient"
+      );
+    }
+    return fromFhirObservations(id, observations, patient);
+  });
+  if (patients.length === 0) {
+    throw new Error("FHIR Bundle contains no Doklah patients");
+  }
+
+  return {
+    createdAt: bundle.timestamp || new Date().toISOString(),
+    data: { settings: {}, patients, visits },
+  };
+}
@@ -4,9 +4,159 @@
 
 let childData = null;
 let zScoreData = null;
+let weightForHeightData = null;
+let classificationRules = null;
+
+// Registry of growth reference sets (data/references.json) and the active set
+let referenceRegistry = null;
+let activeReferenceId = null;
+
+// Average days per month used by the WHO standards (365.25 / 12)
+const DAYS_PER_MONTH = 30.4375;
+
+// Term gestation (40 weeks) and the preterm cut-off (37 weeks), in days
+const TERM_GESTATION_DAYS = 280;
+const PRETERM_GESTATION_DAYS = 259;
+
+// Chronological age, in months, until which preterm ages are corrected
+const CORRECTED_AGE_LIMIT_MONTHS = 24;
+
+// Whole-SD curves drawn in the z-score chart mode
+const SD_CURVE_Z_SCORES = {
+  "-3": -3,
+  "-2": -2,
+  "-1": -1,
+  0: 0,
+  1: 1,
+  2: 2,
+  3: 3,
+};
+
+// Z-scores of the centiles drawn on centile charts (3rd, 15th, 50th, 85th, 97th)
+const CENTILE_Z_SCORES = {
+  3: -1.881,
+  15: -1.036,
+  50: 0,
+  85: 1.036,
+  97: 1.881,
+};
+
+// Nutritional outcome severities, most severe first
+const OUTCOME_SEVERITY_ORDER = ["severe", "moderate", "normal", "unknown"];
+
+// Mid-parental target height (Tanner): sex adjustment and ±2 SD range, in cm
+const MID_PARENTAL_SEX_ADJUSTMENT_CM = 6.5;
+const MID_PARENTAL_RANGE_CM = 8.5;
+
+// Age whose height-for-age reference stands in for adult height
+const ADULT_HEIGHT_AGE_YEARS = 19;
+
+// WHO expects recumbent length under 24 months and standing height from
+// 24 months; standing height is on average 0.7 cm less than length
+const RECUMBENT_LENGTH_AGE_MONTHS = 24;
+const LENGTH_HEIGHT_DIFFERENCE_CM = 0.7;
+
+// Classification band severities, least severe first
+const BAND_SEVERITY_ORDER = ["normal", "mild", "moderate", "severe"];
+
+// Z-scores followed across visits for centile crossing, and indicators
+// whose classification band is compared between visits
+const CENTILE_CROSSING_METRICS = ["weight", "height"];
+const BAND_ALERT_METRICS = [
+  "weight",
+  "height",
+  "weightForHeight",
+  "headCircumference",
+  "bmi",
+];
 
 /**
- * Load WHO pediatric growth reference data from JSON file
+ * Load the registry of growth reference sets from JSON file
+ * Each set names the data files holding its reference tables; the
+ * indicators, age ranges and algorithm of a set are declared by the
+ * `strategy` object inside those files
+ * @async
+ * @returns {Promise<Object>} Registry object with default and references keys
+ * @throws {Error} If the registry cannot be loaded
+ */
+async function loadReferenceRegistry() {
+  if (referenceRegistry) return referenceRegistry;
+
+  try {
+    const response = await fetch("data/references.json");
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    referenceRegistry = await response.json();
+    return referenceRegistry;
+  } catch (error) {
+    console.error("Error loading reference registry:", error);
+    throw new Error("Failed to load growth reference registry");
+  }
+}
+
+/**
+ * Get the registered growth reference sets
+ * Requires loadReferenceRegistry() to have run
+ * @returns {Array<Object>} Reference sets with id, name, shortName,
+ *   description (the tables each age range uses) and files
+ */
+function getReferences() {
+  return referenceRegistry ? referenceRegistry.references : [];
+}
+
+/**
+ * Get the active growth reference set
+ * Falls back to the registry default when no set (or an unknown set) is active
+ * @returns {Object|null} Reference set, or null if the registry is not loaded
+ */
+function getActiveReference() {
+  const references = getReferences();
+  return (
+    references.find((reference) => reference.id === activeReferenceId) ||
+    references.find(
+      (reference) => reference.id === referenceRegistry.default
+    ) ||
+    null
+  );
+}
+
+/**
+ * Make a growth reference set active
+ * Clears the cached reference tables so the next load*Data() call fetches
+ * the files of the new set
+ * @async
+ * @param {string} referenceId - Reference set id (e.g. 'who', 'cdc2000')
+ * @returns {Promise<Object>} The active reference set
+ */
+async function setActiveReference(referenceId) {
+  await loadReferenceRegistry();
+  const previousId = getActiveReference()?.id;
+  activeReferenceId = referenceId;
+
+  const reference = getActiveReference();
+  if (reference.id !== previousId) {
+    childData = null;
+    zScoreData = null;
+    weightForHeightData = null;
+    classificationRules = null;
+  }
+  return reference;
+}
+
+/**
+ * Get the data file of the active reference set for a table
+ * @async
+ * @param {string} table - Table key ('child', 'zScore', 'weightForHeight',
+ *   'classificationRules')
+ * @returns {Promise<string|null>} File path, or null if the set has no such table
+ * @private
+ */
+async function getReferenceFile(table) {
+  await loadReferenceRegistry();
+  return getActiveReference()?.files[table] ?? null;
+}
+
+/**
+ * Load pediatric growth reference data of the active reference set
  * Caches data after first load to avoid repeated HTTP requests
  * @async
  * @returns {Promise<Array>} Array of growth reference records
@@ -16,7 +166,7 @@ async function loadChildData() {
   if (childData) return childData;
 
   try {
-    const response = await fetch("data/child.json");
+    const response = await fetch(await getReferenceFile("child"));
     if (!response.ok) throw new Error(`HTTP ${response.status}`);
     const data = await response.json();
     childData = data.data;
@@ -28,65 +178,132 @@ async function loadChildData() {
 }
 
 /**
- * Get all unique ages from child data for form select dropdown
- * Returns sorted list of ages from youngest to oldest
- * @returns {Array<Object>} Array of age objects with value, label, age, and unit properties
+ * Calculate exact age in days between date of birth and date of measurement
+ * Dates are compared as calendar days (UTC) so time zones cannot shift the result
+ * @param {string} birthDate - Date of birth as 'YYYY-MM-DD'
+ * @param {string} measurementDate - Date of measurement as 'YYYY-MM-DD'
+ * @returns {number} Age in completed days (negative if measured before birth)
  * @example
- * [
- *   {value: '0-MONTH', label: 'Newborn', age: 0, unit: 'MONTH'},
- *   {value: '1-MONTH', label: '1 month', age: 1, unit: 'MONTH'},
- *   {value: '1-YEAR', label: '1 year', age: 1, unit: 'YEAR'}
- * ]
+ * calculateAgeInDays('2024-01-01', '2024-03-01') // Returns 60
  */
-function getUniqueAges() {
-  if (!childData) return [];
-
-  const ageMap = new Map();
-
-  childData.forEach((record) => {
-    const key = `${record.age}-${record.ageUnit}`;
-    if (!ageMap.has(key)) {
-      ageMap.set(key, {
-        value: key,
-        age: record.age,
-        unit: record.ageUnit,
-        label: formatAge(record.age, record.ageUnit),
-      });
-    }
-  });
-
-  // Sort by age in months
-  return Array.from(ageMap.values()).sort((a, b) => {
-    const aMonths = convertToMonths(a.age, a.unit);
-    const bMonths = convertToMonths(b.age, b.unit);
-    return aMonths - bMonths;
-  });
+function calculateAgeInDays(birthDate, measurementDate) {
+  const birth = Date.parse(birthDate);
+  const measurement = Date.parse(measurementDate);
+  return Math.round((measurement - birth) / 86400000);
 }
 
 /**
  * Convert age to months for standardized comparison
  * @param {number} age - Age value
- * @param {string} unit - Age unit ('MONTH' or 'YEAR')
- * @returns {number} Age converted to months
+ * @param {string} unit - Age unit ('DAY', 'MONTH' or 'YEAR')
+ * @returns {number} Age converted to months (fractional for days)
  * @example
  * convertToMonths(2, 'YEAR') // Returns 24
  * convertToMonths(6, 'MONTH') // Returns 6
+ * convertToMonths(365, 'DAY') // Returns 11.99...
  */
 function convertToMonths(age, unit) {
+  if (unit === "DAY") return age / DAYS_PER_MONTH;
   return unit === "MONTH" ? age : age * 12;
 }
 
+/**
+ * Calculate the age used for assessment, corrected for prematurity
+ * Infants born before 37 weeks are assessed on corrected age (chronological
+ * age minus the weeks born early) until 24 months of chronological age.
+ * Before term-equivalent age the corrected age is negative
+ * @param {number} ageDays - Chronological age in days
+ * @param {number|null} gestationalAgeDays - Gestational age at birth in days
+ * @returns {number} Corrected age in days, or the chronological age if no
+ *   correction applies
+ */
+function calculateCorrectedAge(ageDays, gestationalAgeDays) {
+  if (
+    !gestationalAgeDays ||
+    gestationalAgeDays >= PRETERM_GESTATION_DAYS ||
+    convertToMonths(ageDays, "DAY") >= CORRECTED_AGE_LIMIT_MONTHS
+  ) {
+    return ageDays;
+  }
+  return ageDays - (TERM_GESTATION_DAYS - gestationalAgeDays);
+}
+
+/**
+ * Convert a corrected age in days to postmenstrual age in weeks
+ * @param {number} correctedAgeDays - Corrected age in days (negative before term)
+ * @returns {number} Postmenstrual age in weeks
+ */
+function calculatePostmenstrualAge(correctedAgeDays) {
+  return (TERM_GESTATION_DAYS + correctedAgeDays) / 7;
+}
+
+/**
+ * Get the measurement position the WHO standards expect at an age
+ * @param {number} ageDays - Age in days (corrected for preterm infants)
+ * @returns {string} 'RECUMBENT' (length) under 24 months, 'STANDING'
+ *   (height) from 24 months
+ */
+function getExpectedMeasurementPosition(ageDays) {
+  return convertToMonths(ageDays, "DAY") < RECUMBENT_LENGTH_AGE_MONTHS
+    ? "RECUMBENT"
+    : "STANDING";
+}
+
+/**
+ * Adjust a length/height to the position expected at the patient's age
+ * Standing heights under 24 months gain 0.7 cm and recumbent lengths from
+ * 24 months lose 0.7 cm, as specified by the WHO standards
+ * @param {number|null} height - Measured length or height in cm
+ * @param {string|null} position - 'RECUMBENT' or 'STANDING'; null for the
+ *   expected position
+ * @param {number} ageDays - Age in days (corrected for preterm infants)
+ * @returns {number|null} Length or height in cm as the standards expect it
+ */
+function adjustForMeasurementPosition(height, position, ageDays) {
+  const expected = getExpectedMeasurementPosition(ageDays);
+  if (!height || !position || position === expected) return height;
+  return expected === "RECUMBENT"
+    ? height + LENGTH_HEIGHT_DIFFERENCE_CM
+    : height - LENGTH_HEIGHT_DIFFERENCE_CM;
+}
+
 /**
  * Format age for human-readable display using i18n translations
+ * Ages in days are shown as completed years and months; negative (corrected)
+ * ages are shown as postmenstrual weeks and days
  * @param {number} age - Age value
- * @param {string} unit - Age unit ('MONTH' or 'YEAR')
+ * @param {string} unit - Age unit ('DAY', 'MONTH' or 'YEAR')
  * @returns {string} Formatted age string
  * @example
  * formatAge(0, 'MONTH') // Returns 'Newborn'
  * formatAge(6, 'MONTH') // Returns '6 months'
  * formatAge(2, 'YEAR')  // Returns '2 years'
+ * formatAge(1430, 'DAY') // Returns '3 years 10 months'
+ * formatAge(-45, 'DAY')  // Returns '33 weeks 4 days PMA'
  */
 function formatAge(age, unit) {
+  if (unit === "DAY" && age < 0) {
+    // Before term-equivalent age show postmenstrual age instead
+    const postmenstrualAge = calculatePostmenstrualAge(age);
+    const weeks = Math.floor(postmenstrualAge);
+    const days = Math.round((postmenstrualAge - weeks) * 7);
+    return t("form.ages.postmenstrual")
+      .replace("{{value}}", weeks)
+      .replace("{{days}}", days);
+  }
+  if (unit === "DAY") {
+    const months = Math.floor(convertToMonths(age, unit));
+    if (months < 1) {
+      if (age === 0) return t("form.ages.newborn");
+      const key = age === 1 ? "form.ages.day" : "form.ages.days";
+      return t(key).replace("{{value}}", age);
+    }
+    const years = Math.floor(months / 12);
+    const remainingMonths = months % 12;
+    if (years === 0) return formatAge(months, "MONTH");
+    if (remainingMonths === 0) return formatAge(years, "YEAR");
+    return `${formatAge(years, "YEAR")} ${formatAge(remainingMonths, "MONTH")}`;
+  }
   if (unit === "MONTH") {
     if (age === 0) {
       return t("form.ages.newborn");
@@ -100,13 +317,86 @@ function formatAge(age, unit) {
   return template.replace("{{value}}", age);
 }
 
+/**
+ * Interpolate numeric reference values between two neighbouring records
+ * Plain numbers and objects of numbers (SD curves, LMS parameters) are
+ * interpolated; other properties are taken from the lower record
+ * @param {Object} lower - Reference record at or below the target age
+ * @param {Object} upper - Reference record at or above the target age
+ * @param {number} fraction - Position between lower (0) and upper (1)
+ * @returns {Object} New record with interpolated values
+ * @private
+ */
+function interpolateRecords(lower, upper, fraction) {
+  const lerp = (a, b) => a + (b - a) * fraction;
+  const result = { ...lower };
+
+  Object.keys(lower).forEach((key) => {
+    const a = lower[key];
+    const b = upper[key];
+    if (typeof a === "number" && typeof b === "number") {
+      result[key] = lerp(a, b);
+    } else if (a && b && typeof a === "object" && typeof b === "object") {
+      result[key] = {};
+      Object.keys(a).forEach((innerKey) => {
+        result[key][innerKey] = lerp(a[innerKey], b[innerKey]);
+      });
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Find the reference values at an exact position by interpolating between rows
+ * Rows are the records of a reference table keyed by age or length; positions
+ * between two rows are linearly interpolated, positions outside the table
+ * return null
+ * @param {Array<Object>} records - Reference records for a single gender
+ * @param {Function} getPosition - Returns a record's position (age in months, length in cm)
+ * @param {number} position - Target position
+ * @returns {Object|null} Interpolated record, or null if position is out of range
+ * @private
+ */
+function interpolateByPosition(records, getPosition, position) {
+  const sorted = [...records].sort((a, b) => getPosition(a) - getPosition(b));
+  if (sorted.length === 0) return null;
+
+  const first = sorted[0];
+  const last = sorted[sorted.length - 1];
+  if (position < getPosition(first) || position > getPosition(last)) {
+    return null;
+  }
+
+  for (let i = 0; i < sorted.length - 1; i++) {
+    const lower = sorted[i];
+    const upper = sorted[i + 1];
+    const lowerPosition = getPosition(lower);
+    const upperPosition = getPosition(upper);
+
+    if (position >= lowerPosition && position <= upperPosition) {
+      if (position === lowerPosition) return lower;
+      if (position === upperPosition) return upper;
+      const fraction =
+        (position - lowerPosition) / (upperPosition - lowerPosition);
+      return interpolateRecords(lower, upper, fraction);
+    }
+  }
+
+  return last;
+}
+
 /**
  * Find WHO growth reference matching patient's age and gender
- * Returns the record with the closest age to input age
+ * Interpolates weight and height between the two neighbouring reference rows,
+ * so ages between monthly/yearly rows are not snapped to the nearest row.
+ * Preterm infants before term-equivalent age get no expected values, as no
+ * reference set covers them. Ages beyond the table fall back to the
+ * closest row
  * @param {string} gender - Patient gender ('BOY' or 'GIRL')
- * @param {number} age - Patient age value
- * @param {string} ageUnit - Patient age unit ('MONTH' or 'YEAR')
- * @returns {Object} Closest matching growth reference record
+ * @param {number} age - Patient age value (corrected age for preterm infants)
+ * @param {string} ageUnit - Patient age unit ('DAY', 'MONTH' or 'YEAR')
+ * @returns {Object} Growth reference record for the patient's exact age
  * @throws {Error} If no data found for the specified gender
  */
 function findMatchByAge(gender, age, ageUnit) {
@@ -121,8 +411,30 @@ function findMatchByAge(gender, age, ageUnit) {
     throw new Error(`No data found for gender: ${gender}`);
   }
 
-  // Find closest by age
+  // Preterm infants before term-equivalent age: no reference to match
+  if (determineGrowthStage(age, ageUnit) === "preterm") {
+    return {
+      gender,
+      weight: null,
+      height: null,
+      age,
+      ageUnit,
+      ageType: "PRETERM",
+    };
+  }
+
   const inputAgeMonths = convertToMonths(age, ageUnit);
+  const interpolated = interpolateByPosition(
+    candidates,
+    (record) => convertToMonths(record.age, record.ageUnit),
+    inputAgeMonths
+  );
+
+  if (interpolated) {
+    return { ...interpolated, age, ageUnit };
+  }
+
+  // Outside the reference table: find closest by age
   let closestByAge = candidates[0];
   let minAgeDiff = Math.abs(
     convertToMonths(candidates[0].age, candidates[0].ageUnit) - inputAgeMonths
@@ -135,14 +447,6 @@ function findMatchByAge(gender, age, ageUnit) {
     if (ageDiff < minAgeDiff) {
       minAgeDiff = ageDiff;
       closestByAge = record;
-    } else if (ageDiff === minAgeDiff) {
-      // If tie, prefer the higher age
-      if (
-        recordAgeMonths >
-        convertToMonths(closestByAge.age, closestByAge.ageUnit)
-      ) {
-        closestByAge = record;
-      }
     }
   });
 
@@ -304,55 +608,6 @@ function findClosestInGroup(group, metric, value, unitMetric = null) {
   return closest;
 }
 
-/**
- * Calculate closeness percentage comparing input metrics to age-expected values
- * Uses averaged percentage deviation from expected weight and height
- * Score: 100 = ±10% deviation, 90 = ±20%, 75 = ±30%, 60 = ±40%, lower beyond
- * @param {number} inputWeight - Patient input weight in kg
- * @param {number|null} inputHeight - Patient input height in cm (optional)
- * @param {Object} ageMatchedRecord - Age-matched growth reference record
- * @returns {number} Closeness score from 0-100
- */
-function calculateCloseness(inputWeight, inputHeight, ageMatchedRecord) {
-  if (!ageMatchedRecord) return 0;
-
-  const expectedWeight = ageMatchedRecord.weight;
-  const expectedHeight = ageMatchedRecord.height;
-
-  // Calculate weight deviation percentage
-  const weightDeviation =
-    (Math.abs(inputWeight - expectedWeight) / expectedWeight) * 100;
-
-  let averageDeviation = weightDeviation;
-
-  // If height is provided, include it in the calculation
-  if (inputHeight !== null && inputHeight !== undefined) {
-    const heightDeviation =
-      (Math.abs(inputHeight - expectedHeight) / expectedHeight) * 100;
-    averageDeviation = (weightDeviation + heightDeviation) / 2;
-  }
-
-  // Map deviation to closeness score
-  let closeness;
-  if (averageDeviation <= 10) {
-    closeness = 100;
-  } else if (averageDeviation <= 20) {
-    // Linear interpolation between 100 (at 10%) and 90 (at 20%)
-    closeness = 100 - (averageDeviation - 10) * 1;
-  } else if (averageDeviation <= 30) {
-    // Linear interpolation between 90 (at 20%) and 75 (at 30%)
-    closeness = 90 - (averageDeviation - 20) * 1.5;
-  } else if (averageDeviation <= 40) {
-    // Linear interpolation between 75 (at 30%) and 60 (at 40%)
-    closeness = 75 - (averageDeviation - 30) * 1.5;
-  } else {
-    // Beyond 40%, decrease by 1 point per percent
-    closeness = 60 - (averageDeviation - 40);
-  }
-
-  return Math.round(Math.max(0, closeness));
-}
-
 /**
  * Format assessment results for display
  * Combines input data, age-matched expectations, and weight-matched expectations
@@ -362,18 +617,25 @@ function calculateCloseness(inputWeight, inputHeight, ageMatchedRecord) {
  * @returns {Object} Formatted result object with all assessment data
  */
 function formatResult(inputData, ageMatchedRecord, weightMatchedRecord) {
-  const closeness = calculateCloseness(
-    inputData.weight,
-    inputData.height || null,
-    ageMatchedRecord
-  );
+  const reference = getActiveReference();
 
   return {
+    reference: reference ? { id: reference.id, name: reference.name } : null,
     input: {
       gender: inputData.gender === "BOY" ? "Boy" : "Girl",
       weight: inputData.weight,
       height: inputData.height || null,
+      measuredHeight: inputData.measuredHeight || null,
+      measurementPosition: inputData.measurementPosition || null,
+      headCircumference: inputData.headCircumference || null,
       age: inputData.age || null,
+      chronologicalAge: inputData.chronologicalAge ?? null,
+      gestationalAgeDays: inputData.gestationalAgeDays || null,
+      previous: inputData.previous || null,
+      motherHeight: inputData.motherHeight || null,
+      fatherHeight: inputData.fatherHeight || null,
+      muac: inputData.muac || null,
+      oedema: Number(inputData.oedema) || 0,
     },
     ageMatched: {
       gender: ageMatchedRecord.gender === "BOY" ? "Boy" : "Girl",
@@ -393,24 +655,9 @@ function formatResult(inputData, ageMatchedRecord, weightMatchedRecord) {
       ageType: weightMatchedRecord.ageType,
       ageLabel: formatAge(weightMatchedRecord.age, weightMatchedRecord.ageUnit),
     },
-    closeness: closeness,
-    closenessLabel: getClosenessLabel(closeness),
   };
 }
 
-/**
- * Get descriptive label for closeness percentage
- * @param {number} closeness - Closeness percentage (0-100)
- * @returns {string} Descriptive label (e.g., 'Excellent match', 'Very close')
- */
-function getClosenessLabel(closeness) {
-  if (closeness >= 90) return "Excellent match";
-  if (closeness >= 75) return "Very close";
-  if (closeness >= 60) return "Close match";
-  if (closeness >= 40) return "Moderate";
-  return "Some difference";
-}
-
 /**
  * Calculate WHO growth stage classification based on age
  * Stages: INFANT (0-23 months), CHILD (2-5 years), ADOLESCENT (6+ years)
@@ -436,10 +683,21 @@ function calculateGrowthStage(age, unit) {
  * @param {string|null} gender - Patient gender ('BOY', 'GIRL', or null)
  * @param {number|null} weight - Patient weight in kg
  * @param {number|null} height - Patient height in cm (optional)
- * @param {string|null} age - Patient age as 'value-unit' string
+ * @param {string|null} birthDate - Date of birth as 'YYYY-MM-DD'
+ * @param {string|null} measurementDate - Date of measurement as 'YYYY-MM-DD'
+ * @param {number|null} headCircumference - Head circumference in cm (optional)
+ * @param {number|null} gestationalAgeDays - Gestational age at birth in days (optional)
  * @returns {string[]} Array of error messages (empty if valid)
  */
-function validateInput(gender, weight, height = null, age = null) {
+function validateInput(
+  gender,
+  weight,
+  height = null,
+  birthDate = null,
+  measurementDate = null,
+  headCircumference = null,
+  gestationalAgeDays = null
+) {
   const errors = [];
 
   if (!gender) {
@@ -449,18 +707,179 @@ function validateInput(gender, weight, height = null, age = null) {
   if (!weight || isNaN(weight)) {
     errors.push("Weight is required");
   } else if (weight < 0.01 || weight > 150) {
-    errors.push("Weight must be between 0.01 and 150 kg");
+    errors.push(
+      `Weight must be between ${formatLimit(0.01, "weight")} and ${formatLimit(
+        150,
+        "weight"
+      )}`
+    );
+  }
+
+  if (!birthDate) {
+    errors.push("Date of birth is required");
   }
 
-  if (!age) {
-    errors.push("Age is required");
+  if (!measurementDate) {
+    errors.push("Date of measurement is required");
+  }
+
+  if (birthDate && measurementDate) {
+    const ageDays = calculateAgeInDays(birthDate, measurementDate);
+    if (isNaN(ageDays)) {
+      errors.push("Dates must be valid");
+    } else if (ageDays < 0) {
+      errors.push("Date of measurement cannot be before date of birth");
+    } else if (convertToMonths(ageDays, "DAY") > 228) {
+      errors.push("Age must be 19 years or less");
+    }
   }
 
   if (height !== null && height !== "") {
     if (isNaN(height)) {
       errors.push("Height must be a valid number");
     } else if (height < 0.01 || height > 220) {
-      errors.push("Height must be between 0.01 and 220 cm");
+      errors.push(
+        `Height must be between ${formatLimit(
+          0.01,
+          "length"
+        )} and ${formatLimit(220, "length")}`
+      );
+    }
+  }
+
+  if (headCircumference !== null && headCircumference !== "") {
+    if (isNaN(headCircumference)) {
+      errors.push("Head circumference must be a valid number");
+    } else if (headCircumference < 20 || headCircumference > 65) {
+      errors.push(
+        `Head circumference must be between ${formatLimit(
+          20,
+          "length"
+        )} and ${formatLimit(65, "length")}`
+      );
+    }
+  }
+
+  if (gestationalAgeDays !== null && gestationalAgeDays !== "") {
+    if (isNaN(gestationalAgeDays)) {
+      errors.push("Gestational age must be a valid number");
+    } else if (gestationalAgeDays < 22 * 7 || gestationalAgeDays > 44 * 7) {
+      errors.push("Gestational age must be between 22 and 44 weeks");
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the optional prior measurement used for growth velocity
+ * @param {string} birthDate - Date of birth (YYYY-MM-DD)
+ * @param {string} measurementDate - Date of the current measurement (YYYY-MM-DD)
+ * @param {string} previousDate - Date of the prior measurement (YYYY-MM-DD)
+ * @param {number} previousWeight - Prior weight in kg
+ * @param {number|null} previousHeight - Prior length/height in cm (optional)
+ * @returns {string[]} Array of error messages (empty if valid)
+ */
+function validatePreviousMeasurement(
+  birthDate,
+  measurementDate,
+  previousDate,
+  previousWeight,
+  previousHeight = null
+) {
+  const errors = [];
+
+  if (!previousDate) {
+    errors.push("Date of prior measurement is required");
+  } else if (birthDate && measurementDate) {
+    const previousAge = calculateAgeInDays(birthDate, previousDate);
+    const currentAge = calculateAgeInDays(birthDate, measurementDate);
+    if (isNaN(previousAge)) {
+      errors.push("Date of prior measurement must be valid");
+    } else if (previousAge < 0 || previousAge >= currentAge) {
+      errors.push(
+        "Prior measurement must be between date of birth and date of measurement"
+      );
+    }
+  }
+
+  if (!previousWeight || isNaN(previousWeight)) {
+    errors.push("Prior weight is required");
+  } else if (previousWeight < 0.01 || previousWeight > 150) {
+    errors.push(
+      `Prior weight must be between ${formatLimit(
+        0.01,
+        "weight"
+      )} and ${formatLimit(150, "weight")}`
+    );
+  }
+
+  if (previousHeight !== null && previousHeight !== "") {
+    if (isNaN(previousHeight)) {
+      errors.push("Prior height must be a valid number");
+    } else if (previousHeight < 0.01 || previousHeight > 220) {
+      errors.push(
+        `Prior height must be between ${formatLimit(
+          0.01,
+          "length"
+        )} and ${formatLimit(220, "length")}`
+      );
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the optional parents' heights used for the mid-parental target
+ * @param {number|null} motherHeight - Mother's height in cm
+ * @param {number|null} fatherHeight - Father's height in cm
+ * @returns {string[]} Array of error messages (empty if valid)
+ */
+function validateParentHeights(motherHeight, fatherHeight) {
+  const errors = [];
+
+  if (!motherHeight || !fatherHeight) {
+    errors.push("Both parents' heights are required for the target height");
+  }
+  if (motherHeight && (motherHeight < 120 || motherHeight > 220)) {
+    errors.push(
+      `Mother's height must be between ${formatLimit(
+        120,
+        "length"
+      )} and ${formatLimit(220, "length")}`
+    );
+  }
+  if (fatherHeight && (fatherHeight < 120 || fatherHeight > 220)) {
+    errors.push(
+      `Father's height must be between ${formatLimit(
+        120,
+        "length"
+      )} and ${formatLimit(220, "length")}`
+    );
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the optional mid-upper arm circumference
+ * @param {number|null} muac - Mid-upper arm circumference in cm
+ * @returns {string[]} Array of error messages (empty if valid)
+ */
+function validateMuac(muac) {
+  const errors = [];
+
+  if (muac !== null && muac !== "") {
+    if (isNaN(muac)) {
+      errors.push("MUAC must be a valid number");
+    } else if (muac < 5 || muac > 40) {
+      errors.push(
+        `MUAC must be between ${formatLimit(5, "length")} and ${formatLimit(
+          40,
+          "length"
+        )}`
+      );
     }
   }
 
@@ -487,17 +906,18 @@ function getChartDataForGender(gender) {
 }
 
 /**
- * Load WHO Z-score reference data from JSON file
- * Contains z-score curves for infant, child, and adolescent growth stages
+ * Load Z-score reference data of the active reference set
+ * Contains z-score curves for the growth stages the set covers (WHO: infant,
+ * child and adolescent)
  * @async
- * @returns {Promise<Object>} Z-score data object with infant, child, adolescent, strategy keys
+ * @returns {Promise<Object>} Z-score data object with growth stage and strategy keys
  * @throws {Error} If data fails to load
  */
 async function loadZScoreData() {
   if (zScoreData) return zScoreData;
 
   try {
-    const response = await fetch("data/z-score.json");
+    const response = await fetch(await getReferenceFile("zScore"));
     if (!response.ok) {
       throw new Error(`Failed to load z-score data: ${response.status}`);
     }
@@ -509,15 +929,80 @@ async function loadZScoreData() {
   }
 }
 
+/**
+ * Load weight-for-length/height reference data of the active reference set
+ * WHO: LMS parameters and z-score curves keyed by length (45-110 cm)
+ * and standing height (65-120 cm). Sets without the table get an empty
+ * strategy, so no weight-for-height table applies
+ * @async
+ * @returns {Promise<Object>} Reference data object with length, height, strategy keys
+ * @throws {Error} If data fails to load
+ */
+async function loadWeightForHeightData() {
+  if (weightForHeightData) return weightForHeightData;
+
+  try {
+    const file = await getReferenceFile("weightForHeight");
+    if (!file) {
+      weightForHeightData = { strategy: {} };
+      return weightForHeightData;
+    }
+
+    const response = await fetch(file);
+    if (!response.ok) {
+      throw new Error(
+        `Failed to load weight-for-height data: ${response.status}`
+      );
+    }
+    weightForHeightData = await response.json();
+    return weightForHeightData;
+  } catch (error) {
+    console.error("Error loading weight-for-height data:", error);
+    throw error;
+  }
+}
+
+/**
+ * Load the classification rule tables of the active reference set
+ * One table per indicator maps z-score ranges to a label key, severity and
+ * badge colour, and the outcome list holds the cut-offs of the nutritional
+ * status classification; programmes can ship their own tables without code
+ * changes
+ * @async
+ * @returns {Promise<Object>} Rules object with indicators, outcomes and
+ *   implausible keys
+ * @throws {Error} If data fails to load
+ */
+async function loadClassificationRules() {
+  if (classificationRules) return classificationRules;
+
+  try {
+    const response = await fetch(await getReferenceFile("classificationRules"));
+    if (!response.ok) {
+      throw new Error(
+        `Failed to load classification rules: ${response.status}`
+      );
+    }
+    classificationRules = await response.json();
+    return classificationRules;
+  } catch (error) {
+    console.error("Error loading classification rules:", error);
+    throw error;
+  }
+}
+
 /**
  * Determine growth stage based on patient age
- * @param {number} age - Patient age value
- * @param {string} ageUnit - Age unit ('MONTH' or 'YEAR')
- * @returns {string} Growth stage: 'infant' (0-23m), 'child' (2-9y), or 'adolescent' (10-19y)
+ * @param {number} age - Patient age value (corrected age for preterm infants)
+ * @param {string} ageUnit - Age unit ('DAY', 'MONTH' or 'YEAR')
+ * @returns {string} Growth stage: 'preterm' (before 40 weeks postmenstrual),
+ *   'infant' (0-23m), 'child' (2-9y), or 'adolescent' (10-19y)
  */
 function determineGrowthStage(age, ageUnit) {
   const ageMonths = convertToMonths(age, ageUnit);
 
+  // Negative corrected age: preterm infant before term-equivalent age
+  if (ageMonths < 0) return "preterm";
   if (ageMonths < 24) return "infant";
   const ageYears = ageMonths / 12;
   if (ageYears < 10) return "child";
@@ -540,201 +1025,1083 @@ function calculateBMI(weight, height) {
  * Used for adolescent BMI calculations when height is not provided
  * @param {string} gender - Patient gender ('BOY' or 'GIRL')
  * @param {number} age - Patient age value
- * @param {string} ageUnit - Age unit ('MONTH' or 'YEAR')
+ * @param {string} ageUnit - Age unit ('DAY', 'MONTH' or 'YEAR')
  * @returns {number|null} Median height in cm, or null if not found
  */
 function getMedianHeightForAge(gender, age, ageUnit) {
-  if (!zScoreData || !zScoreData.adolescent || !zScoreData.adolescent[0]) {
-    return null;
-  }
+  const entry = findZScoreEntry(gender, age, ageUnit, "medianHeight");
+  return entry ? entry.medianHeight : null;
+}
 
-  const adolescentData = zScoreData.adolescent[0];
-  const ageYears = ageUnit === "MONTH" ? age / 12 : age;
+/**
+ * Get z-score reference records for a gender across all growth stages
+ * @param {string} gender - Patient gender ('BOY' or 'GIRL')
+ * @returns {Array<Object>} Z-score reference records of every stage
+ * @private
+ */
+function getZScoreRecords(gender) {
+  if (!zScoreData) return [];
 
-  const entry = adolescentData.find(
-    (record) => record.age === Math.round(ageYears) && record.gender === gender
+  return Object.keys(zScoreData.strategy).flatMap((growthStage) => {
+    let dataSource = zScoreData[growthStage] || [];
+
+    // Adolescents use different structure
+    if (Array.isArray(dataSource[0])) {
+      dataSource = dataSource[0];
+    }
+
+    return dataSource.filter((record) => record.gender === gender);
+  });
+}
+
+/**
+ * Find the z-score reference entry for a patient's exact age and gender
+ * Interpolates between the neighbouring rows that carry the requested property
+ * @param {string} gender - Patient gender ('BOY' or 'GIRL')
+ * @param {number} age - Patient age value
+ * @param {string} ageUnit - Age unit ('DAY', 'MONTH' or 'YEAR')
+ * @param {string} prop - Reference property needed (e.g. 'weightZ', 'bmiLMS')
+ * @returns {Object|null} Z-score reference entry, or null if age is out of range
+ */
+function findZScoreEntry(gender, age, ageUnit, prop) {
+  const records = getZScoreRecords(gender).filter((record) => record[prop]);
+
+  return interpolateByPosition(
+    records,
+    (record) => convertToMonths(record.age, record.unit),
+    convertToMonths(age, ageUnit)
   );
+}
 
-  return entry ? entry.medianHeight : null;
+/**
+ * Get the reference property prefix for a metric
+ * Which ages carry a metric is decided by the reference rows themselves
+ * (e.g. weight-for-age stops at 10 years, head circumference at 5 years)
+ * @param {string} metric - Metric type: 'weight', 'height', 'headCircumference', or 'bmi'
+ * @returns {string|null} Property prefix ('weight', 'height', 'head', 'bmi'), or null if unsupported
+ */
+function getMetricPrefix(metric) {
+  if (metric === "weight" || metric === "height" || metric === "bmi") {
+    return metric;
+  }
+  if (metric === "headCircumference") return "head";
+  return null;
 }
 
 /**
  * Get Z-score curves for a patient
- * Returns data points for all 5 curves: -2, -1, 0 (median), +1, +2
+ * Returns the reference values of the -3 to +3 SD curves, built from the
+ * same LMS parameters the z-scores are calculated with; the tabulated SD
+ * curves are only used when a reference row has no LMS
  * @param {string} gender - Patient gender ('BOY' or 'GIRL')
  * @param {number} age - Patient age value
- * @param {string} ageUnit - Age unit ('MONTH' or 'YEAR')
- * @param {string} metric - Metric type: 'weight', 'height', or 'bmi'
- * @returns {Object} Object with keys -2, -1, 0, 1, 2 containing curve data arrays
+ * @param {string} ageUnit - Age unit ('DAY', 'MONTH' or 'YEAR')
+ * @param {string} metric - Metric type: 'weight', 'height', 'headCircumference', or 'bmi'
+ * @returns {Object} Object with keys -3..3 containing the curve values
  * @example
  * const curves = getZScoreCurves('BOY', 6, 'MONTH', 'weight');
- * // Returns { "-2": {...}, "-1": {...}, "0": {...}, "1": {...}, "2": {...} }
+ * // Returns { "-3": 5.3, "-2": 5.9, ..., "0": 7.9, ..., "3": 10.9 }
  */
 function getZScoreCurves(gender, age, ageUnit, metric) {
-  if (!zScoreData) return {};
+  const prefix = getMetricPrefix(metric);
+  if (!prefix) return {};
 
-  const growthStage = determineGrowthStage(age, ageUnit);
-  const strategy = zScoreData.strategy[growthStage];
+  const zScoreProp = `${prefix}Z`;
+  const zScoreEntry = findZScoreEntry(gender, age, ageUnit, zScoreProp);
+
+  return buildCurvesAtZScores(
+    getLMSParameters(gender, age, ageUnit, metric),
+    zScoreEntry ? pickZScoreCurves(zScoreEntry[zScoreProp]) : {},
+    SD_CURVE_Z_SCORES
+  );
+}
 
-  if (!strategy) return {};
+/**
+ * Pick the -3..+3 SD curve values from a reference z-score object
+ * @private
+ * @param {Object} zValues - Reference values keyed by z-score strings
+ * @returns {Object} Values keyed by z-score (-3..3); missing curves are omitted
+ */
+function pickZScoreCurves(zValues) {
+  const curves = {};
+  for (let zScore = -3; zScore <= 3; zScore++) {
+    const value = zValues[String(zScore)];
+    if (value !== undefined && value !== null) curves[zScore] = value;
+  }
+  return curves;
+}
+
+/**
+ * Get WHO LMS (Box-Cox power, median, coefficient of variation) parameters
+ * @param {string} gender - Patient gender ('BOY' or 'GIRL')
+ * @param {number} age - Patient age value
+ * @param {string} ageUnit - Age unit ('DAY', 'MONTH' or 'YEAR')
+ * @param {string} metric - Metric type: 'weight', 'height', 'headCircumference', or 'bmi'
+ * @returns {Object|null} Object with L, M and S keys, or null if unavailable
+ */
+function getLMSParameters(gender, age, ageUnit, metric) {
+  const prefix = getMetricPrefix(metric);
+  if (!prefix) return null;
+
+  const lmsProp = `${prefix}LMS`;
+  const zScoreEntry = findZScoreEntry(gender, age, ageUnit, lmsProp);
+
+  return zScoreEntry ? zScoreEntry[lmsProp] : null;
+}
+
+/**
+ * Calculate the measurement value at a given z-score from LMS parameters
+ * Inverse of the LMS formula: X = M * (1 + L * S * z)^(1/L)
+ * @param {Object} lms - LMS parameters with L, M and S keys
+ * @param {number} zScore - Target z-score
+ * @returns {number} Measurement value at that z-score
+ */
+function calculateLMSValue(lms, zScore) {
+  const { L, M, S } = lms;
+  if (L === 0) return M * Math.exp(S * zScore);
+  return M * Math.pow(1 + L * S * zScore, 1 / L);
+}
 
-  let dataSource = zScoreData[growthStage];
+/**
+ * Calculate z-score with the WHO LMS method
+ * Z = ((X / M)^L - 1) / (L * S), or ln(X / M) / S when L is 0.
+ * Beyond ±3 SD the WHO "restricted" rule applies: the distance past the
+ * ±3 SD cut-off is measured in units of the 2-3 SD interval, so skewed
+ * tails do not inflate extreme z-scores
+ * @param {number} value - Patient measurement value
+ * @param {Object} lms - LMS parameters with L, M and S keys
+ * @returns {number} WHO z-score
+ */
+function calculateLMSZScore(value, lms) {
+  const { L, M, S } = lms;
+  const zScore =
+    L === 0 ? Math.log(value / M) / S : (Math.pow(value / M, L) - 1) / (L * S);
+
+  if (zScore > 3) {
+    const sd3 = calculateLMSValue(lms, 3);
+    const sd23 = sd3 - calculateLMSValue(lms, 2);
+    return 3 + (value - sd3) / sd23;
+  }
 
-  // Adolescents use different structure
-  if (growthStage === "adolescent" && Array.isArray(dataSource)) {
-    dataSource = dataSource[0];
+  if (zScore < -3) {
+    const sdMinus3 = calculateLMSValue(lms, -3);
+    const sd23 = calculateLMSValue(lms, -2) - sdMinus3;
+    return -3 + (value - sdMinus3) / sd23;
   }
 
-  const ageValue = ageUnit === "MONTH" ? age : Math.round(age);
+  return zScore;
+}
 
-  // Find the z-score entry for this age and gender
-  const zScoreEntry = dataSource.find((record) => {
-    const recordAge = ageUnit === "MONTH" ? record.age : record.age;
-    return recordAge === ageValue && record.gender === gender;
-  });
+/**
+ * Calculate z-score by linear interpolation between reference SD curves
+ * Within ±3 SD the z-score is interpolated between the neighbouring curves.
+ * Beyond ±3 SD the WHO rule applies: the distance past the ±3 SD curve is
+ * measured in units of the 2-3 SD interval instead of extrapolating
+ * @param {Object} zScores - Curve values keyed by z-score (from getZScoreCurves)
+ * @param {number} value - Patient measurement value
+ * @returns {number} Interpolated z-score
+ */
+function calculateCurveZScore(zScores, value) {
+  const median = zScores[0]; // z=0 is the median
 
-  if (!zScoreEntry) return {};
+  if (value === median) return 0;
 
-  // Determine which z-score property to use based on metric and growth stage
-  let zScoreProp = null;
-  if (growthStage === "adolescent") {
-    zScoreProp = "bmiZ";
-  } else if (metric === "weight") {
-    zScoreProp = "weightZ";
-  } else if (metric === "height") {
-    zScoreProp = "heightZ";
+  // Walk outwards from the median on the patient's side of the curve
+  const direction = value > median ? 1 : -1;
+  for (let sd = 1; sd <= 3; sd++) {
+    const inner = zScores[(sd - 1) * direction];
+    const outer = zScores[sd * direction];
+    if (direction * value <= direction * outer) {
+      return direction * (sd - 1 + (value - inner) / (outer - inner));
+    }
   }
 
-  if (!zScoreProp || !zScoreEntry[zScoreProp]) return {};
+  // Past ±3 SD: measure the excess in units of the 2-3 SD interval
+  const sd3 = zScores[3 * direction];
+  const sd23 = sd3 - zScores[2 * direction];
+  return direction * 3 + (value - sd3) / Math.abs(sd23);
+}
 
-  // Extract z-score values for all 5 curves
-  const zValues = zScoreEntry[zScoreProp];
-  return {
-    "-2": zValues["-2"],
-    "-1": zValues["-1"],
-    0: zValues["0"],
-    1: zValues["1"],
-    2: zValues["2"],
-  };
+/**
+ * Calculate the measurement value at a z-score from the tabulated SD curves
+ * Interpolates linearly between the neighbouring whole SD curves
+ * @private
+ * @param {Object} zScores - Curve values keyed by z-score (from getZScoreCurves)
+ * @param {number} zScore - Target z-score between -3 and 3
+ * @returns {number} Measurement value at that z-score
+ */
+function calculateCurveValue(zScores, zScore) {
+  const lower = Math.max(-3, Math.min(2, Math.floor(zScore)));
+  const fraction = zScore - lower;
+  return zScores[lower] + (zScores[lower + 1] - zScores[lower]) * fraction;
+}
+
+/**
+ * Build curve values at arbitrary z-scores from LMS parameters or tabulated
+ * SD curves
+ * @private
+ * @param {Object|null} lms - LMS parameters, preferred when available
+ * @param {Object} zScores - Curve values keyed by z-score
+ * @param {Object} targets - Target z-scores keyed by curve name
+ *   (e.g. CENTILE_Z_SCORES)
+ * @returns {Object} Values keyed like targets, or empty object
+ */
+function buildCurvesAtZScores(lms, zScores, targets) {
+  if (!lms && Object.keys(zScores).length < 7) return {};
+
+  const curves = {};
+  for (const [key, zScore] of Object.entries(targets)) {
+    curves[key] = lms
+      ? calculateLMSValue(lms, zScore)
+      : calculateCurveValue(zScores, zScore);
+  }
+  return curves;
+}
+
+/**
+ * Get the 3rd, 15th, 50th, 85th and 97th centile curve values for an age
+ * @param {string} gender - Patient gender ('BOY' or 'GIRL')
+ * @param {number} age - Patient age value
+ * @param {string} ageUnit - Age unit ('DAY', 'MONTH' or 'YEAR')
+ * @param {string} metric - Metric type: 'weight', 'height', 'headCircumference', or 'bmi'
+ * @returns {Object} Values keyed by centile, or empty object if unavailable
+ */
+function getCentileCurves(gender, age, ageUnit, metric) {
+  return buildCurvesAtZScores(
+    getLMSParameters(gender, age, ageUnit, metric),
+    getZScoreCurves(gender, age, ageUnit, metric),
+    CENTILE_Z_SCORES
+  );
+}
+
+/**
+ * Get the curve values at the cut-offs of an indicator's classification rules
+ * Used to shade the classification bands on growth charts
+ * @param {string} gender - Patient gender ('BOY' or 'GIRL')
+ * @param {number} age - Patient age value
+ * @param {string} ageUnit - Age unit ('DAY', 'MONTH' or 'YEAR')
+ * @param {string} metric - Metric type: 'weight', 'height', 'headCircumference', or 'bmi'
+ * @returns {Object} Values keyed by cut-off z-score, or empty object
+ */
+function getClassificationCutoffCurves(gender, age, ageUnit, metric) {
+  return buildCurvesAtZScores(
+    getLMSParameters(gender, age, ageUnit, metric),
+    getZScoreCurves(gender, age, ageUnit, metric),
+    getClassificationCutoffs(metric)
+  );
+}
+
+/**
+ * Calculate the percentile of a z-score (standard normal CDF)
+ * Uses the Abramowitz and Stegun 7.1.26 approximation of the error function
+ * @param {number} zScore - The z-score value
+ * @returns {number} Percentile from 0 to 100
+ */
+function calculatePercentileFromZScore(zScore) {
+  const x = Math.abs(zScore) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf =
+    1 -
+    ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) *
+      t +
+      0.254829592) *
+      t *
+      Math.exp(-x * x);
+
+  return 50 * (1 + Math.sign(zScore) * erf);
+}
+
+/**
+ * Format a percentile for display, e.g. 'P42', 'P0.4' or 'P99.8'
+ * Keeps one decimal in the tails where rounding would hide the difference
+ * @param {number} percentile - Percentile from 0 to 100
+ * @returns {string} Formatted percentile
+ */
+function formatPercentile(percentile) {
+  if (percentile < 1 || percentile > 99) {
+    return `P${percentile.toFixed(1)}`;
+  }
+  return `P${Math.round(percentile)}`;
 }
 
 /**
  * Interpolate z-score from patient measurements
- * Calculates where a patient's measurement falls on the z-score scale
- * Z-score = (measurement - median) / (SD1 - median) for positive side
- * Z-score = (measurement - median) / (median - SD1) for negative side
+ * Dispatches on the growth stage's `strategy.algo` in the active reference set:
+ * 'lms' uses the WHO LMS method, 'z-score' interpolates between the
+ * tabulated SD curves
  * @param {string} gender - Patient gender ('BOY' or 'GIRL')
  * @param {number} age - Patient age value
- * @param {string} ageUnit - Age unit ('MONTH' or 'YEAR')
- * @param {string} metric - Metric type: 'weight', 'height', or 'bmi'
+ * @param {string} ageUnit - Age unit ('DAY', 'MONTH' or 'YEAR')
+ * @param {string} metric - Metric type: 'weight', 'height', 'headCircumference', or 'bmi'
  * @param {number} value - Patient measurement value
  * @returns {number|null} Interpolated z-score, or null if data unavailable
  */
 function interpolateZScore(gender, age, ageUnit, metric, value) {
-  const zScores = getZScoreCurves(gender, age, ageUnit, metric);
-
-  if (!zScores || Object.keys(zScores).length === 0) return null;
+  if (!zScoreData) return null;
 
-  const median = zScores[0]; // z=0 is the median
+  const growthStage = determineGrowthStage(age, ageUnit);
+  const algo = zScoreData.strategy[growthStage]?.algo;
 
-  if (value === median) return 0;
+  // Growth stage not covered by the active reference set (e.g. preterm)
+  if (!algo) return null;
 
-  if (value > median) {
-    // Above median: interpolate between z=0 and z=2
-    const sd1 = zScores[1]; // z=1 (1 SD above median)
-    const sd2 = zScores[2]; // z=2 (2 SDs above median)
-
-    if (value <= sd1) {
-      // Between median and +1 SD
-      return ((value - median) / (sd1 - median)) * 1;
-    } else {
-      // Between +1 and +2 SD
-      return 1 + ((value - sd1) / (sd2 - sd1)) * 1;
+  switch (algo) {
+    case "lms": {
+      const lms = getLMSParameters(gender, age, ageUnit, metric);
+      return lms ? calculateLMSZScore(value, lms) : null;
     }
-  } else {
-    // Below median: interpolate between z=0 and z=-2
-    const sdMinus1 = zScores[-1]; // z=-1 (1 SD below median)
-    const sdMinus2 = zScores[-2]; // z=-2 (2 SDs below median)
-
-    if (value >= sdMinus1) {
-      // Between -1 SD and median
-      return ((value - median) / (sdMinus1 - median)) * -1;
-    } else {
-      // Between -2 and -1 SD
-      return -1 + ((value - sdMinus1) / (sdMinus2 - sdMinus1)) * -1;
+    case "z-score": {
+      const zScores = getZScoreCurves(gender, age, ageUnit, metric);
+      if (!zScores || Object.keys(zScores).length === 0) return null;
+      return calculateCurveZScore(zScores, value);
     }
+    default:
+      console.warn(`Unknown z-score algorithm: ${algo}`);
+      return null;
   }
 }
 
 /**
- * Classify z-score into growth category
- * @param {number} zScore - The z-score value
- * @returns {Object} Classification object with keys: category, label, thresholds
- */
-function classifyZScore(zScore) {
-  if (zScore > 2) {
-    return { category: "veryBad", z: zScore, range: "> +2 SD" };
-  } else if (zScore > 1) {
-    return { category: "bad", z: zScore, range: "+1 to +2 SD" };
-  } else if (zScore > -1) {
-    return { category: "fair", z: zScore, range: "-1 to +1 SD" };
-  } else if (zScore > -2) {
-    return { category: "good", z: zScore, range: "-2 to -1 SD" };
-  } else if (zScore >= -2) {
-    return { category: "veryGood", z: zScore, range: "-2 SD" };
-  } else {
-    return { category: "excellent", z: zScore, range: "< -2 SD" };
+ * Convert a measured length/height to recumbent length
+ * Standing heights gain LENGTH_HEIGHT_DIFFERENCE_CM, so increments between
+ * visits measured in different positions compare like with like
+ * @private
+ * @param {number} height - Measured length or height in cm
+ * @param {string|null} position - 'RECUMBENT' or 'STANDING'; null for the
+ *   position expected at the age
+ * @param {number} ageDays - Age in days at the measurement
+ * @returns {number} Recumbent length in cm
+ */
+function toRecumbentLength(height, position, ageDays) {
+  const measuredPosition = position || getExpectedMeasurementPosition(ageDays);
+  return measuredPosition === "STANDING"
+    ? height + LENGTH_HEIGHT_DIFFERENCE_CM
+    : height;
+}
+
+/**
+ * Calculate weight and length increments between two measurements
+ * Both heights are converted to recumbent length before subtracting.
+ * @param {Object} previous - Prior measurement
+ * @param {number} previous.age - Age in days at the prior measurement
+ * @param {number} previous.weight - Weight in kg
+ * @param {number|null} previous.height - Measured length or height in cm
+ *   (optional)
+ * @param {string|null} [previous.measurementPosition] - 'RECUMBENT' or
+ *   'STANDING'; null or missing for the position expected at the age
+ * @param {Object} current - Current measurement with the same keys
+ * @returns {Object} Velocity with days between the visits and the weight
+ *   (kg) and length (cm) increments; length is null without both heights
+ */
+function calculateGrowthVelocity(previous, current) {
+  const velocity = {
+    days: current.age - previous.age,
+    weight: current.weight - previous.weight,
+    length: null,
+  };
+
+  if (previous.height && current.height) {
+    velocity.length =
+      toRecumbentLength(
+        current.height,
+        current.measurementPosition,
+        current.age
+      ) -
+      toRecumbentLength(
+        previous.height,
+        previous.measurementPosition,
+        previous.age
+      );
   }
+
+  return velocity;
+}
+
+/**
+ * Calculate the sex-adjusted mid-parental target height
+ * Mean parental height plus 6.5 cm for boys or minus 6.5 cm for girls,
+ * with a ±2 SD target range of ±8.5 cm. The z-score places the target on
+ * the adult (ADULT_HEIGHT_AGE_YEARS) height-for-age reference
+ * @param {string} gender - Patient gender ('BOY' or 'GIRL')
+ * @param {number|null} motherHeight - Mother's height in cm
+ * @param {number|null} fatherHeight - Father's height in cm
+ * @returns {Object|null} Object with height, min, max, zScore and percentile,
+ *   or null when either parent's height is missing
+ */
+function calculateMidParentalHeight(gender, motherHeight, fatherHeight) {
+  if (!motherHeight || !fatherHeight) return null;
+
+  const adjustment =
+    gender === "BOY"
+      ? MID_PARENTAL_SEX_ADJUSTMENT_CM
+      : -MID_PARENTAL_SEX_ADJUSTMENT_CM;
+  const height = (motherHeight + fatherHeight) / 2 + adjustment;
+  const lms = getLMSParameters(
+    gender,
+    ADULT_HEIGHT_AGE_YEARS,
+    "YEAR",
+    "height"
+  );
+  const zScore = lms ? calculateLMSZScore(height, lms) : null;
+
+  return {
+    height,
+    min: height - MID_PARENTAL_RANGE_CM,
+    max: height + MID_PARENTAL_RANGE_CM,
+    zScore,
+    percentile: zScore !== null ? calculatePercentileFromZScore(zScore) : null,
+  };
 }
 
 /**
- * Calculate percentage closeness to median (z=0)
- * 100% at z=0 (median), decreases with distance from median
- * Formula: 100 / (1 + |z-score|)
+ * Predict adult height by keeping the current height-for-age z-score
+ * The z-score is projected onto the ADULT_HEIGHT_AGE_YEARS reference
+ * (use the corrected age for preterm infants)
+ * @param {string} gender - Patient gender ('BOY' or 'GIRL')
+ * @param {number} age - Patient age value
+ * @param {string} ageUnit - Age unit ('DAY', 'MONTH' or 'YEAR')
+ * @param {number|null} height - Current length/height in cm
+ * @returns {Object|null} Object with height, zScore and percentile, or null
+ *   when the height or its reference is unavailable
+ */
+function predictAdultHeight(gender, age, ageUnit, height) {
+  if (!height) return null;
+
+  const zScore = interpolateZScore(gender, age, ageUnit, "height", height);
+  const lms = getLMSParameters(
+    gender,
+    ADULT_HEIGHT_AGE_YEARS,
+    "YEAR",
+    "height"
+  );
+  if (zScore === null || !lms) return null;
+
+  return {
+    height: calculateLMSValue(lms, zScore),
+    zScore,
+    percentile: calculatePercentileFromZScore(zScore),
+  };
+}
+
+/**
+ * Determine which weight-for-length/height table applies at an age
+ * WHO uses weight-for-length under 2 years and weight-for-height from
+ * 2 to 5 years; older children have no weight-for-height standard
+ * @param {number} age - Patient age value
+ * @param {string} ageUnit - Age unit ('DAY', 'MONTH' or 'YEAR')
+ * @returns {string|null} 'length', 'height', or null if not applicable
+ */
+function determineWeightForHeightTable(age, ageUnit) {
+  if (!weightForHeightData) return null;
+
+  const ageMonths = convertToMonths(age, ageUnit);
+
+  for (const [table, strategy] of Object.entries(
+    weightForHeightData.strategy
+  )) {
+    const { min, max, unit } = strategy.ageRange;
+    const minMonths = convertToMonths(min, unit);
+    // Ranges are inclusive of the whole last month/year
+    const maxMonths = convertToMonths(max + 1, unit);
+    if (ageMonths >= minMonths && ageMonths < maxMonths) return table;
+  }
+
+  return null;
+}
+
+/**
+ * Find the weight-for-length/height reference entry at an exact length
+ * Interpolates between the 0.5 cm rows of the table
+ * @param {string} gender - Patient gender ('BOY' or 'GIRL')
+ * @param {string} table - Reference table: 'length' or 'height'
+ * @param {number} height - Length or height in cm
+ * @returns {Object|null} Reference entry, or null if height is out of range
+ */
+function findWeightForHeightEntry(gender, table, height) {
+  if (!weightForHeightData || !weightForHeightData[table]) return null;
+
+  const records = weightForHeightData[table].filter(
+    (record) => record.gender === gender
+  );
+
+  return interpolateByPosition(records, (record) => record[table], height);
+}
+
+/**
+ * Get weight z-score curves for a length or height
+ * Built from the LMS parameters, like the weight-for-height z-score
+ * @param {string} gender - Patient gender ('BOY' or 'GIRL')
+ * @param {string} table - Reference table: 'length' or 'height'
+ * @param {number} height - Length or height in cm
+ * @returns {Object} Weight values keyed by z-score (-3..3), or empty object
+ */
+function getWeightForHeightCurves(gender, table, height) {
+  const entry = findWeightForHeightEntry(gender, table, height);
+  if (!entry) return {};
+
+  return buildCurvesAtZScores(
+    weightForHeightData.strategy[table].algo === "lms" ? entry.weightLMS : null,
+    pickZScoreCurves(entry.weightZ),
+    SD_CURVE_Z_SCORES
+  );
+}
+
+/**
+ * Get weight centile curve values for a length or height
+ * @param {string} gender - Patient gender ('BOY' or 'GIRL')
+ * @param {string} table - Reference table: 'length' or 'height'
+ * @param {number} height - Length or height in cm
+ * @returns {Object} Weight values keyed by centile, or empty object
+ */
+function getWeightForHeightCentileCurves(gender, table, height) {
+  const entry = findWeightForHeightEntry(gender, table, height);
+  if (!entry) return {};
+
+  return buildCurvesAtZScores(
+    weightForHeightData.strategy[table].algo === "lms" ? entry.weightLMS : null,
+    pickZScoreCurves(entry.weightZ),
+    CENTILE_Z_SCORES
+  );
+}
+
+/**
+ * Get weight values at the weight-for-height classification cut-offs
+ * @param {string} gender - Patient gender ('BOY' or 'GIRL')
+ * @param {string} table - Reference table: 'length' or 'height'
+ * @param {number} height - Length or height in cm
+ * @returns {Object} Weight values keyed by cut-off z-score, or empty object
+ */
+function getWeightForHeightCutoffCurves(gender, table, height) {
+  const entry = findWeightForHeightEntry(gender, table, height);
+  if (!entry) return {};
+
+  return buildCurvesAtZScores(
+    weightForHeightData.strategy[table].algo === "lms" ? entry.weightLMS : null,
+    pickZScoreCurves(entry.weightZ),
+    getClassificationCutoffs("weightForHeight")
+  );
+}
+
+/**
+ * Calculate weight-for-length/height z-score (wasting indicator)
+ * Picks the length or height table by age and applies the table's algorithm
+ * @param {string} gender - Patient gender ('BOY' or 'GIRL')
+ * @param {number} age - Patient age value
+ * @param {string} ageUnit - Age unit ('DAY', 'MONTH' or 'YEAR')
+ * @param {number} height - Patient length or height in cm
+ * @param {number} weight - Patient weight in kg
+ * @returns {number|null} Z-score, or null if age or height is out of range
+ */
+function calculateWeightForHeightZScore(gender, age, ageUnit, height, weight) {
+  const table = determineWeightForHeightTable(age, ageUnit);
+  if (!table || !height) return null;
+
+  const algo = weightForHeightData.strategy[table].algo;
+  const entry = findWeightForHeightEntry(gender, table, height);
+  if (!entry) return null;
+
+  if (algo === "lms") {
+    return calculateLMSZScore(weight, entry.weightLMS);
+  }
+  return calculateCurveZScore(
+    getWeightForHeightCurves(gender, table, height),
+    weight
+  );
+}
+
+/**
+ * Build an indicator result with its z-score and percentile
+ * @private
+ * @param {number} value - Measured value the z-score refers to
+ * @param {number|null} zScore - Calculated z-score
+ * @returns {Object|null} Indicator with value, zScore and percentile, or null
+ */
+function buildIndicator(value, zScore) {
+  if (zScore === null || zScore === undefined || isNaN(zScore)) return null;
+  return {
+    value,
+    zScore,
+    percentile: calculatePercentileFromZScore(zScore),
+  };
+}
+
+/**
+ * Calculate every anthropometric indicator for an assessment
+ * Weight-based indicators are suppressed for children with nutritional
+ * oedema, whose weight is inflated by retained fluid.
+ * Requires loadZScoreData() and loadWeightForHeightData() to have run
+ * @param {Object} input - Patient input from formatResult()
+ * @returns {Object} Indicators keyed by metric ('weight', 'height',
+ *   'weightForHeight', 'headCircumference', 'bmi'); each is
+ *   { value, zScore, percentile } or null when not applicable
+ */
+function calculateIndicators(input) {
+  const gender = input.gender === "Boy" ? "BOY" : "GIRL";
+  const { value: age, unit: ageUnit } = input.age;
+  const growthStage = determineGrowthStage(age, ageUnit);
+
+  const indicators = {
+    weight: null,
+    height: null,
+    weightForHeight: null,
+    headCircumference: null,
+    bmi: null,
+  };
+
+  // Weight-for-age is defined up to 10 years, height-for-age up to 19 years
+  indicators.weight = buildIndicator(
+    input.weight,
+    interpolateZScore(gender, age, ageUnit, "weight", input.weight)
+  );
+
+  if (input.height) {
+    indicators.height = buildIndicator(
+      input.height,
+      interpolateZScore(gender, age, ageUnit, "height", input.height)
+    );
+    indicators.weightForHeight = buildIndicator(
+      input.weight,
+      calculateWeightForHeightZScore(
+        gender,
+        age,
+        ageUnit,
+        input.height,
+        input.weight
+      )
+    );
+  }
+
+  // Head circumference-for-age is only defined up to 5 years
+  if (input.headCircumference) {
+    indicators.headCircumference = buildIndicator(
+      input.headCircumference,
+      interpolateZScore(
+        gender,
+        age,
+        ageUnit,
+        "headCircumference",
+        input.headCircumference
+      )
+    );
+  }
+
+  // BMI-for-age (0-19 years) needs a height; adolescents fall back to the
+  // median height for age when it was not measured
+  const height =
+    input.height ||
+    (growthStage === "adolescent"
+      ? getMedianHeightForAge(gender, age, ageUnit)
+      : null);
+  if (height) {
+    const bmi = calculateBMI(input.weight, height);
+    indicators.bmi = buildIndicator(
+      bmi,
+      interpolateZScore(gender, age, ageUnit, "bmi", bmi)
+    );
+  }
+
+  // Oedema makes weight-for-age, weight-for-height and BMI-for-age invalid
+  if (input.oedema) {
+    indicators.weight = null;
+    indicators.weightForHeight = null;
+    indicators.bmi = null;
+  }
+
+  return indicators;
+}
+
+/**
+ * Get the classification rule bands of an indicator
+ * Requires loadClassificationRules() to have run
+ * @param {string} metric - 'weight', 'height', 'weightForHeight',
+ *   'headCircumference' or 'bmi'
+ * @returns {Array<Object>} Bands with optional min/max z-scores, label,
+ *   severity, color, alert (moving into the band raises a growth alert)
+ *   and ageMonths (ages the band applies to, e.g. BMI-for-age under 5
+ *   years); empty if the indicator has no table
+ */
+function getClassificationBands(metric) {
+  return classificationRules?.indicators[metric] || [];
+}
+
+/**
+ * Get the finite z-score cut-offs of an indicator's classification bands
+ * @param {string} metric - Indicator with a rule table
+ * @returns {Object} Cut-off z-scores keyed by themselves (e.g. { "-3": -3 })
+ */
+function getClassificationCutoffs(metric) {
+  const cutoffs = {};
+  getClassificationBands(metric).forEach((band) => {
+    [band.min, band.max].forEach((zScore) => {
+      if (zScore !== undefined) cutoffs[zScore] = zScore;
+    });
+  });
+  return cutoffs;
+}
+
+/**
+ * Classify a z-score with the indicator's rule table
+ * Bands are open at the cut-offs, and a z-score exactly on a cut-off falls
+ * in the band nearer the median (WHO uses "< -2 SD" and "> +2 SD")
+ * @param {string} metric - Indicator with a rule table
  * @param {number} zScore - The z-score value
- * @returns {number} Percentage from 0-100 (always positive)
+ * @param {number} [ageMonths] - Age in months; needed for bands limited to
+ *   an age range
+ * @returns {Object|null} Matching band with label, severity and color, or
+ *   null if no band covers the z-score
  */
-function calculatePercentageFromZScore(zScore) {
-  return Math.round(100 / (1 + Math.abs(zScore)));
+function classifyZScore(metric, zScore, ageMonths) {
+  return (
+    getClassificationBands(metric).find((band) => {
+      if (band.ageMonths && !isWithinAgeRange(band.ageMonths, ageMonths)) {
+        return false;
+      }
+      const aboveMin =
+        band.min === undefined ||
+        zScore > band.min ||
+        (zScore === band.min && band.min <= 0);
+      const belowMax =
+        band.max === undefined ||
+        zScore < band.max ||
+        (zScore === band.max && band.max > 0);
+      return aboveMin && belowMax;
+    }) || null
+  );
 }
 
 /**
- * Get translated label for z-score classification
- * Maps z-scores to weight/height/bmi classification keys for translation
- * @param {string} type - Type: 'weight', 'height', or 'bmi'
+ * Get translated classification label for a z-score
+ * @param {string} metric - 'weight', 'height', 'weightForHeight',
+ *   'headCircumference' or 'bmi'
  * @param {number} zScore - The z-score value
- * @returns {string} Translated label text
- */
-function getZScoreLabel(type, zScore) {
-  let key = "";
-
-  if (zScore > 1) {
-    key = `${type}SeverelyOverweight`;
-  } else if (zScore > 0.5) {
-    key = `${type}Overweight`;
-  } else if (zScore >= -0.5) {
-    key = `${type}Normal`;
-  } else if (zScore >= -1) {
-    key = `${type}Underweight`;
-  } else {
-    key = `${type}SeverelyUnderweight`;
+ * @param {number} [ageMonths] - Age in months, as for classifyZScore()
+ * @returns {string} Translated label text, or empty string if unclassified
+ */
+function getZScoreLabel(metric, zScore, ageMonths) {
+  const band = classifyZScore(metric, zScore, ageMonths);
+  return band ? t(`results.${band.label}`) : "";
+}
+
+/**
+ * Check whether a measure falls within an age range of the rule table
+ * @param {Object} [range] - Ages in months, min inclusive and max exclusive
+ * @param {number} ageMonths - Age in months
+ * @returns {boolean} True if the age is in range or no range is given
+ */
+function isWithinAgeRange(range, ageMonths) {
+  return (
+    !range ||
+    ((range.min === undefined || ageMonths >= range.min) &&
+      (range.max === undefined || ageMonths < range.max))
+  );
+}
+
+/**
+ * Classify nutritional status into WHO/IMCI outcomes
+ * Outcomes come from the rule table's outcome list, which the bundled table
+ * fills with the WHO/IMCI cut-offs:
+ * - Acute malnutrition: bilateral pitting oedema of any grade is SAM needing
+ *   referral, whatever the other measures; weight-for-height < -3 SD or
+ *   MUAC < 11.5 cm is SAM; weight-for-height < -2 SD or MUAC < 12.5 cm is
+ *   MAM. MUAC applies from 6 to 59 months
+ * - Thinness (5-19 years): BMI-for-age < -2 SD, severe < -3 SD
+ * - Stunting: height-for-age < -2 SD, severe < -3 SD
+ * - Underweight: weight-for-age < -2 SD, severe < -3 SD
+ * - Overweight/obesity: under 5 years weight-for-height or BMI-for-age
+ *   > +2 SD / > +3 SD; from 5 years BMI-for-age > +1 SD / > +2 SD
+ * A rule matches when any of its criteria does, and only the first matching
+ * rule of each category is kept. Each outcome carries its recommended
+ * action: 'treat', 'refer', 'counsel' or 'followUp'. A child with no outcome
+ * is classified 'normal', or 'notAssessed' when no measure could be assessed
+ * Requires loadClassificationRules() to have run
+ * @param {Object} input - Patient input from formatResult()
+ * @param {Object} indicators - Indicators from calculateIndicators()
+ * @returns {Array<Object>} Outcomes, most severe first, each with id,
+ *   category, severity ('severe', 'moderate', 'normal' or 'unknown'), action
+ *   and basis (the measures that triggered it)
+ */
+function classifyNutritionalStatus(input, indicators) {
+  const ageMonths = convertToMonths(input.age.value, input.age.unit);
+
+  // Value of a criterion: an indicator z-score or a raw input measure, or
+  // null outside the criterion's age range
+  const valueOf = (criterion) => {
+    if (!isWithinAgeRange(criterion.ageMonths, ageMonths)) return null;
+    if (criterion.indicator) {
+      const indicator = indicators[criterion.indicator];
+      return indicator ? indicator.zScore : null;
+    }
+    return input[criterion.measure] || null;
+  };
+  const matches = (criterion) => {
+    const value = valueOf(criterion);
+    if (value === null) return false;
+    if (criterion.below !== undefined) return value < criterion.below;
+    if (criterion.above !== undefined) return value > criterion.above;
+    return Boolean(value);
+  };
+
+  const rules = classificationRules?.outcomes || [];
+  const outcomes = [];
+  rules.forEach((rule) => {
+    if (outcomes.some((outcome) => outcome.category === rule.category)) return;
+    const basis = rule.criteria
+      .filter(matches)
+      .map((criterion) => criterion.indicator || criterion.measure);
+    if (basis.length === 0) return;
+    outcomes.push({
+      id: rule.id,
+      category: rule.category,
+      severity: rule.severity,
+      action: rule.action,
+      basis: [...new Set(basis)],
+    });
+  });
+
+  // No outcome: normal, unless no measure could be assessed at all (e.g. a
+  // preterm infant before term-equivalent age)
+  if (outcomes.length === 0) {
+    const assessed = rules.some((rule) =>
+      rule.criteria.some((criterion) => typeof valueOf(criterion) === "number")
+    );
+    outcomes.push({
+      id: assessed ? "normal" : "notAssessed",
+      category: "normal",
+      severity: assessed ? "normal" : "unknown",
+      action: "followUp",
+      basis: [],
+    });
   }
 
-  return t(`results.${key}`);
+  return outcomes.sort(
+    (a, b) =>
+      OUTCOME_SEVERITY_ORDER.indexOf(a.severity) -
+      OUTCOME_SEVERITY_ORDER.indexOf(b.severity)
+  );
 }
 
 /**
  * Get badge color class for z-score classification
- * Returns Bootstrap badge color class based on z-score severity
+ * @param {string} metric - Indicator with a rule table
  * @param {number} zScore - The z-score value
- * @returns {string} Bootstrap color class: 'bg-danger', 'bg-warning', 'bg-success'
+ * @param {number} [ageMonths] - Age in months, as for classifyZScore()
+ * @returns {string} Bootstrap color class from the rule table (e.g. 'bg-danger'),
+ *   or 'bg-secondary' if unclassified
  */
-function getZScoreBadgeColor(zScore) {
-  if (zScore > 1 || zScore < -1) {
-    return "bg-danger"; // Severely over/underweight - red
-  } else if (zScore > 0.5 || zScore < -0.5) {
-    return "bg-warning"; // Overweight/underweight - yellow
-  } else {
-    return "bg-success"; // Normal - green
-  }
+function getZScoreBadgeColor(metric, zScore, ageMonths) {
+  const band = classifyZScore(metric, zScore, ageMonths);
+  return band ? `bg-${band.color}` : "bg-secondary";
+}
+
+/**
+ * Flag biologically implausible values (BIV) among the indicators
+ * Follows the WHO flagging rules: a z-score outside the indicator's
+ * plausible range (e.g. weight-for-age below -6 or above +5) most likely
+ * comes from a measurement or data-entry error
+ * Requires loadClassificationRules() to have run
+ * @param {Object} indicators - Indicators from calculateIndicators()
+ * @returns {Array<Object>} Flags with metric, zScore and the plausible
+ *   min/max z-scores; empty when every value is plausible
+ */
+function flagImplausibleIndicators(indicators) {
+  const limits = classificationRules?.implausible || {};
+
+  return Object.keys(limits)
+    .filter((metric) => {
+      const indicator = indicators[metric];
+      return (
+        indicator &&
+        (indicator.zScore < limits[metric].min ||
+          indicator.zScore > limits[metric].max)
+      );
+    })
+    .map((metric) => ({
+      metric,
+      zScore: indicators[metric].zScore,
+      min: limits[metric].min,
+      max: limits[metric].max,
+    }));
+}
+
+/**
+ * Keep only the records without implausibility flags
+ * Flagged records stay saved for review but are left out of aggregate
+ * statistics
+ * @param {Array<Object>} records - Records with an optional flags array
+ * @returns {Array<Object>} Records safe to aggregate
+ */
+function filterPlausibleRecords(records) {
+  return records.filter((record) => !record.flags || !record.flags.length);
+}
+
+/**
+ * Convert a stored visit to the patient input of formatResult()
+ * @private
+ * @param {Object} visit - Visit with gender ('BOY' or 'GIRL'), age,
+ *   ageUnit, oedema and the measurements in kg and cm
+ * @returns {Object} Input for calculateIndicators() and
+ *   classifyNutritionalStatus()
+ */
+function toVisitInput(visit) {
+  return {
+    gender: visit.gender === "BOY" ? "Boy" : "Girl",
+    age: { value: visit.age, unit: visit.ageUnit },
+    weight: visit.weight,
+    height: visit.height,
+    headCircumference: visit.headCircumference,
+    muac: visit.muac,
+    oedema: visit.oedema,
+  };
+}
+
+/**
+ * Calculate the indicators of a stored visit against the active reference
+ * Requires the same data as calculateIndicators()
+ * @private
+ * @param {Object} visit - Visit with gender ('BOY' or 'GIRL'), age,
+ *   ageUnit, oedema and the measurements in kg and cm
+ * @returns {Object} Indicators from calculateIndicators()
+ */
+function calculateVisitIndicators(visit) {
+  return calculateIndicators(toVisitInput(visit));
+}
+
+/**
+ * Recalculate the results of a stored visit against the active reference
+ * Requires the same data as calculateIndicators() and
+ * loadClassificationRules()
+ * @param {Object} visit - Visit with gender ('BOY' or 'GIRL'), age,
+ *   ageUnit, oedema and the measurements in kg and cm
+ * @param {Object} [indicators] - Indicators already calculated against the
+ *   visit's own reference, classified as given instead of recalculated
+ * @returns {Object} { indicators, classification, flags } as saved with
+ *   each visit
+ */
+function assessVisit(visit, indicators = calculateVisitIndicators(visit)) {
+  return {
+    indicators,
+    classification: classifyNutritionalStatus(toVisitInput(visit), indicators),
+    flags: flagImplausibleIndicators(indicators),
+  };
+}
+
+/**
+ * Detect growth faltering and centile crossing across the visits of a child
+ * Each visit is compared with the one before it:
+ * - 'zScoreDrop': weight-for-age or length/height-for-age z-score fell by
+ *   more than thresholds.zScoreDrop
+ * - 'bandWorsened': an indicator moved into a band the rule table marks
+ *   for alerting (e.g. stunting or wasting), or into a more severe one;
+ *   moves between bands without the mark (e.g. normal to tall) stay silent
+ * - 'staticWeight': no weight gain since the latest visit at least
+ *   thresholds.staticWeightDays earlier
+ * Flagged (implausible) visits are skipped, as are weights with oedema.
+ * Requires the data of calculateIndicators() and loadClassificationRules()
+ * @param {Array<Object>} visits - Visits of one child with id,
+ *   measurementDate, gender, age, ageUnit, oedema, flags and the
+ *   measurements in kg and cm
+ * @param {Object} thresholds - Alert thresholds
+ * @param {number} thresholds.zScoreDrop - Smallest z-score fall to alert on
+ * @param {number} thresholds.staticWeightDays - Window in days without
+ *   weight gain to alert on
+ * @returns {Array<Object>} Alerts in visit order, each with type, metric,
+ *   visitId, date, previousDate, and from/to values (z-scores, band labels
+ *   or weights in kg)
+ */
+function detectGrowthAlerts(visits, thresholds) {
+  const assessed = filterPlausibleRecords(visits)
+    .map((visit) => ({ visit, indicators: calculateVisitIndicators(visit) }))
+    .sort((a, b) =>
+      a.visit.measurementDate.localeCompare(b.visit.measurementDate)
+    );
+  const alerts = [];
+
+  assessed.forEach(({ visit, indicators }, index) => {
+    if (index === 0) return;
+    const previous = assessed[index - 1];
+    const alertBase = {
+      visitId: visit.id,
+      date: visit.measurementDate,
+      previousDate: previous.visit.measurementDate,
+    };
+
+    CENTILE_CROSSING_METRICS.forEach((metric) => {
+      const before = previous.indicators[metric];
+      const after = indicators[metric];
+      if (
+        before &&
+        after &&
+        before.zScore - after.zScore > thresholds.zScoreDrop
+      ) {
+        alerts.push({
+          ...alertBase,
+          type: "zScoreDrop",
+          metric,
+          from: before.zScore,
+          to: after.zScore,
+        });
+      }
+    });
+
+    BAND_ALERT_METRICS.forEach((metric) => {
+      const before =
+        previous.indicators[metric] &&
+        classifyZScore(
+          metric,
+          previous.indicators[metric].zScore,
+          convertToMonths(previous.visit.age, previous.visit.ageUnit)
+        );
+      const after =
+        indicators[metric] &&
+        classifyZScore(
+          metric,
+          indicators[metric].zScore,
+          convertToMonths(visit.age, visit.ageUnit)
+        );
+      if (
+        before &&
+        after &&
+        after.alert &&
+        after.label !== before.label &&
+        (!before.alert ||
+          BAND_SEVERITY_ORDER.indexOf(after.severity) >
+            BAND_SEVERITY_ORDER.indexOf(before.severity))
+      ) {
+        alerts.push({
+          ...alertBase,
+          type: "bandWorsened",
+          metric,
+          from: before.label,
+          to: after.label,
+        });
+      }
+    });
+
+    // Latest weight measured at least the window before this visit
+    const baseline = visit.oedema
+      ? null
+      : assessed
+          .slice(0, index)
+          .reverse()
+          .find(
+            (earlier) =>
+              !earlier.visit.oedema &&
+              calculateAgeInDays(
+                earlier.visit.measurementDate,
+                visit.measurementDate
+              ) >= thresholds.staticWeightDays
+          );
+    if (baseline && visit.weight <= baseline.visit.weight) {
+      alerts.push({
+        ...alertBase,
+        previousDate: baseline.visit.measurementDate,
+        type: "staticWeight",
+        metric: "weight",
+        from: baseline.visit.weight,
+        to: visit.weight,
+      });
+    }
+  });
+
+  return alerts;
 }
@@ -38,12 +38,12 @@ async function loadLanguage(lang) {
 /**
  * Get translated string by dot notation key path
  * Returns the key itself if translation not found
- * @param {string} key - Dot notation path (e.g., 'form.gender', 'results.closenessExcellent')
+ * @param {string} key - Dot notation path (e.g., 'form.gender', 'results.weightNormal')
  * @param {Object} fallback - Optional fallback translations object
  * @returns {string} Translated string or original key if not found
  * @example
  * t('form.gender')        // Returns 'Gender' in current language
- * t('results.matchQuality') // Returns 'Match Quality' in current language
+ * t('results.title')     // Returns 'Assessment Results' in current language
  */
 function t(key, fallback = {}) {
   const keys = key.split(".");
@@ -101,10 +101,6 @@ async function changeLanguage(lang) {
     settings.language = lang;
     saveSettings(settings);
     renderUI();
-    // Repopulate age select with translated labels
-    if (typeof populateAgeSelect === "function") {
-      populateAgeSelect();
-    }
   }
 }
 
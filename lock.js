@@ -0,0 +1,242 @@
+// Passcode Lock
+// An optional passcode encrypts the patient registry: a key is derived from
+// it with PBKDF2 and each patient and visit is sealed with AES-GCM. The key
+// is held in memory only while the app is unlocked
+
+const LOCK_PBKDF2_ITERATIONS = 600000;
+const LOCK_MIN_PASSCODE_LENGTH = 4;
+
+// Known text sealed with the key, used to check a passcode
+const LOCK_CHECK_TEXT = "doklah";
+
+// Key of the unlocked registry; null without a passcode or while locked
+let lockKey = null;
+
+/**
+ * Derive the registry key from a passcode
+ * @async
+ * @private
+ * @param {string} passcode - Passcode
+ * @param {Uint8Array} salt - Random salt stored with the lock
+ * @param {number} iterations - PBKDF2 iterations stored with the lock
+ * @returns {Promise<CryptoKey>} Non-extractable AES-GCM key
+ */
+async function deriveLockKey(passcode, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passcode),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+/**
+ * Encrypt a value with AES-GCM under a fresh random IV
+ * @async
+ * @private
+ * @param {CryptoKey} key - Registry key
+ * @param {*} value - JSON-compatible value
+ * @returns {Promise<Object>} { iv, ciphertext } as Uint8Arrays
+ */
+async function encryptLockValue(key, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(value))
+  );
+  return { iv, ciphertext: new Uint8Array(ciphertext) };
+}
+
+/**
+ * Decrypt a value sealed by encryptLockValue()
+ * @async
+ * @private
+ * @param {CryptoKey} key - Registry key
+ * @param {Object} sealed - { iv, ciphertext }
+ * @returns {Promise<*>} Decrypted value
+ * @throws {Error} If the key is wrong or the data was altered
+ */
+async function decryptLockValue(key, sealed) {
+  const plaintext = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: sealed.iv },
+    key,
+    sealed.ciphertext
+  );
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+/**
+ * Check whether the patient registry is protected by a passcode
+ * @async
+ * @returns {Promise<boolean>} True when a passcode is set
+ */
+async function isPasscodeSet() {
+  return (await getRegistryLock()) !== null;
+}
+
+/**
+ * Validate a new passcode and its confirmation
+ * @param {string} passcode - New passcode
+ * @param {string} confirmation - Passcode typed again
+ * @returns {string[]} Array of error messages (empty if valid)
+ */
+function validatePasscode(passcode, confirmation) {
+  const errors = [];
+
+  if (!passcode || passcode.length < LOCK_MIN_PASSCODE_LENGTH) {
+    errors.push(
+      `Passcode must be at least ${LOCK_MIN_PASSCODE_LENGTH} characters`
+    );
+  } else if (passcode !== confirmation) {
+    errors.push("Passcodes do not match");
+  }
+
+  return errors;
+}
+
+/**
+ * Unlock the registry with its passcode
+ * @async
+ * @param {string} passcode - Passcode
+ * @returns {Promise<void>}
+ * @throws {Error} If the passcode is incorrect
+ */
+async function unlockRegistry(passcode) {
+  const lock = await getRegistryLock();
+  if (!lock) return;
+
+  const key = await deriveLockKey(passcode, lock.salt, lock.iterations);
+  try {
+    if ((await decryptLockValue(key, lock.check)) !== LOCK_CHECK_TEXT) {
+      throw new Error("Lock check text does not match");
+    }
+  } catch (error) {
+    throw new Error("Passcode is incorrect");
+  }
+  lockKey = key;
+}
+
+/**
+ * Forget the registry key; the passcode is needed again to read patients
+ * @returns {void}
+ */
+function lockRegistry() {
+  lockKey = null;
+}
+
+/**
+ * Seal a record for storage while a passcode is set
+ * Only the id and the given index fields stay readable
+ * @async
+ * @param {Object} record - Patient or visit
+ * @param {string[]} [indexFields] - Fields kept unencrypted for indexes
+ * @param {boolean} [removingLock] - True when the lock is removed in the
+ *   same write, so the record is stored unencrypted
+ * @returns {Promise<Object>} Sealed record, or the record itself without a
+ *   passcode
+ * @throws {Error} If a passcode is set and the registry is locked
+ */
+async function sealRecord(record, indexFields = [], removingLock = false) {
+  if (!lockKey) {
+    if (!removingLock && (await isPasscodeSet())) {
+      throw new Error("Patient data is locked");
+    }
+    return record;
+  }
+
+  const sealed = { id: record.id };
+  indexFields.forEach((field) => {
+    sealed[field] = record[field];
+  });
+  return { ...sealed, ...(await encryptLockValue(lockKey, record)) };
+}
+
+/**
+ * Open a stored record sealed by sealRecord()
+ * @async
+ * @param {Object} stored - Stored patient or visit
+ * @returns {Promise<Object>} Record
+ * @throws {Error} If the record is sealed and the registry is locked
+ */
+async function openRecord(stored) {
+  if (!stored.ciphertext) return stored;
+  if (!lockKey) throw new Error("Patient data is locked");
+  return decryptLockValue(lockKey, stored);
+}
+
+/**
+ * Re-encrypt every patient and visit under a new key
+ * The records and the lock are written in one transaction, so a failure
+ * leaves the registry as it was
+ * @async
+ * @private
+ * @param {CryptoKey|null} key - New key; null stores the records unencrypted
+ * @param {Object|null} lock - Lock record of the new key; null removes it
+ * @returns {Promise<void>}
+ */
+async function rekeyRegistry(key, lock) {
+  const { patients, visits } = await exportRegistry();
+  const previousKey = lockKey;
+
+  lockKey = key;
+  try {
+    await importRegistry(patients, visits, lock);
+  } catch (error) {
+    lockKey = previousKey;
+    throw error;
+  }
+}
+
+/**
+ * Set or change the passcode and re-encrypt the registry with it
+ * @async
+ * @param {string} passcode - New passcode, validated by validatePasscode()
+ * @param {string|null} currentPasscode - Passcode in use, when one is set
+ * @returns {Promise<void>}
+ * @throws {Error} If the current passcode is incorrect
+ */
+async function setPasscode(passcode, currentPasscode) {
+  if (await isPasscodeSet()) {
+    await unlockRegistry(currentPasscode);
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const key = await deriveLockKey(passcode, salt, LOCK_PBKDF2_ITERATIONS);
+  await rekeyRegistry(key, {
+    salt,
+    iterations: LOCK_PBKDF2_ITERATIONS,
+    check: await encryptLockValue(key, LOCK_CHECK_TEXT),
+  });
+}
+
+/**
+ * Remove the passcode and store the registry unencrypted
+ * @async
+ * @param {string} currentPasscode - Passcode in use
+ * @returns {Promise<void>}
+ * @throws {Error} If the passcode is incorrect
+ */
+async function removePasscode(currentPasscode) {
+  await unlockRegistry(currentPasscode);
+  await rekeyRegistry(null, null);
+}
+
+/**
+ * Erase every patient and visit together with the passcode
+ * The only way back into the registry when the passcode is forgotten
+ * @async
+ * @returns {Promise<void>}
+ */
+async function eraseLockedRegistry() {
+  lockKey = null;
+  await deleteRegistry();
+}
@@ -0,0 +1,221 @@
+// Prevalence Analysis
+// WHO/SMART survey tables over a set of assessed children: prevalence of
+// wasting, stunting, underweight and overweight with 95% confidence
+// intervals by sex and age group, and mean z-scores
+
+// Age groups of the survey tables, in months [min, max); together they
+// make up the analysed 6-59 months
+const PREVALENCE_AGE_GROUPS = [
+  { key: "6-11", min: 6, max: 12 },
+  { key: "12-23", min: 12, max: 24 },
+  { key: "24-35", min: 24, max: 36 },
+  { key: "36-47", min: 36, max: 48 },
+  { key: "48-59", min: 48, max: 60 },
+];
+
+// Indicator behind each prevalence, whether cases fall below -2/-3 SD (or
+// above +2/+3 SD) and whether bilateral oedema counts as a case
+const PREVALENCE_INDICATORS = {
+  wasting: { metric: "weightForHeight", below: true, oedema: true },
+  stunting: { metric: "height", below: true, oedema: false },
+  underweight: { metric: "weight", below: true, oedema: false },
+  overweight: { metric: "weightForHeight", below: false, oedema: false },
+};
+
+// Indicators summarized by their mean z-score
+const PREVALENCE_Z_SCORE_METRICS = ["weightForHeight", "height", "weight"];
+
+// Normal quantile of a two-sided 95% confidence interval
+const PREVALENCE_Z_95 = 1.959964;
+
+/**
+ * Check whether a child is in the analysed 6-59 months
+ * @private
+ * @param {Object} record - Assessment with age in days
+ * @returns {boolean} True from 6 months up to 59 completed months
+ */
+function isPrevalenceAge(record) {
+  const months = convertToMonths(record.age, "DAY");
+  return (
+    months >= PREVALENCE_AGE_GROUPS[0].min &&
+    months < PREVALENCE_AGE_GROUPS[PREVALENCE_AGE_GROUPS.length - 1].max
+  );
+}
+
+/**
+ * Check whether an indicator of a child was flagged as implausible
+ * Flagged z-scores are left out of that indicator's statistics only, as
+ * WHO and SMART exclude them per indicator
+ * @private
+ * @param {Object} record - Assessment with flags
+ * @param {string} metric - Indicator key
+ * @returns {boolean} True when the indicator is flagged
+ */
+function isFlaggedFor(record, metric) {
+  return (record.flags || []).some((flag) => flag.metric === metric);
+}
+
+/**
+ * Calculate a proportion with its 95% confidence interval
+ * Uses the Wilson score interval on the effective sample size, the sample
+ * size divided by the design effect of a cluster survey
+ * @param {number} cases - Children with the condition
+ * @param {number} n - Children assessed
+ * @param {number} [designEffect] - Design effect; 1 for a simple random
+ *   sample
+ * @returns {Object|null} { cases, n, prevalence, lower, upper } as
+ *   proportions, or null when no child was assessed
+ */
+function calculateProportionInterval(cases, n, designEffect = 1) {
+  if (n === 0) return null;
+
+  const prevalence = cases / n;
+  const effectiveN = n / designEffect;
+  const z2 = PREVALENCE_Z_95 * PREVALENCE_Z_95;
+  const denominator = 1 + z2 / effectiveN;
+  const centre = (prevalence + z2 / (2 * effectiveN)) / denominator;
+  const halfWidth =
+    (PREVALENCE_Z_95 *
+      Math.sqrt(
+        (prevalence * (1 - prevalence)) / effectiveN +
+          z2 / (4 * effectiveN * effectiveN)
+      )) /
+    denominator;
+
+  return {
+    cases,
+    n,
+    prevalence,
+    lower: Math.max(0, centre - halfWidth),
+    upper: Math.min(1, centre + halfWidth),
+  };
+}
+
+/**
+ * Calculate the prevalence of an indicator at the -2 and -3 SD cut-offs
+ * (+2 and +3 SD for overweight)
+ * @param {Array<Object>} records - Assessments with oedema, indicators and
+ *   flags
+ * @param {string} indicator - Key of PREVALENCE_INDICATORS
+ * @param {number} [designEffect] - Design effect of the indicator
+ * @returns {Object} { n, sd2, sd3 }, where sd2 and sd3 are intervals from
+ *   calculateProportionInterval()
+ */
+function calculatePrevalence(records, indicator, designEffect = 1) {
+  const { metric, below, oedema } = PREVALENCE_INDICATORS[indicator];
+  const hasOedema = (record) => oedema && record.oedema > 0;
+
+  const assessed = records.filter(
+    (record) =>
+      !isFlaggedFor(record, metric) &&
+      (record.indicators[metric] || hasOedema(record))
+  );
+  const countCases = (cutOff) =>
+    assessed.filter((record) => {
+      if (hasOedema(record)) return true;
+      const { zScore } = record.indicators[metric];
+      return below ? zScore < -cutOff : zScore > cutOff;
+    }).length;
+
+  return {
+    n: assessed.length,
+    sd2: calculateProportionInterval(
+      countCases(2),
+      assessed.length,
+      designEffect
+    ),
+    sd3: calculateProportionInterval(
+      countCases(3),
+      assessed.length,
+      designEffect
+    ),
+  };
+}
+
+/**
+ * Summarize the z-scores of an indicator
+ * @param {Array<Object>} records - Assessments with indicators and flags
+ * @param {string} metric - Indicator key
+ * @param {number} [designEffect] - Design effect of the indicator
+ * @returns {Object} { n, mean, sd, lower, upper, notAvailable, outOfRange,
+ *   values }: the mean with its 95% confidence interval, the sample SD,
+ *   counts of children without the z-score or with it flagged, and the
+ *   plausible z-scores
+ */
+function summarizeZScores(records, metric, designEffect = 1) {
+  const flagged = records.filter((record) => isFlaggedFor(record, metric));
+  const values = records
+    .filter(
+      (record) => !isFlaggedFor(record, metric) && record.indicators[metric]
+    )
+    .map((record) => record.indicators[metric].zScore);
+
+  const n = values.length;
+  const mean = n > 0 ? values.reduce((sum, z) => sum + z, 0) / n : null;
+  const sd =
+    n > 1
+      ? Math.sqrt(values.reduce((sum, z) => sum + (z - mean) ** 2, 0) / (n - 1))
+      : null;
+  const halfWidth =
+    sd === null ? null : PREVALENCE_Z_95 * sd * Math.sqrt(designEffect / n);
+
+  return {
+    n,
+    mean,
+    sd,
+    lower: halfWidth === null ? null : mean - halfWidth,
+    upper: halfWidth === null ? null : mean + halfWidth,
+    notAvailable: records.length - n - flagged.length,
+    outOfRange: flagged.length,
+    values,
+  };
+}
+
+/**
+ * Build the WHO/SMART survey tables of children aged 6-59 months
+ * Prevalences are given for all children, by sex and by age group; z-score
+ * means for all children
+ * @param {Array<Object>} records - Assessments with gender ('BOY' or
+ *   'GIRL'), age in days, oedema, indicators and flags, e.g. survey rows
+ *   from assessSurveyRow() or stored visits
+ * @param {Object} [designEffects] - Design effect by indicator key
+ *   ('weightForHeight', 'height', 'weight'); 1 when missing
+ * @returns {Object} { n, prevalence, zScores }: prevalence maps each
+ *   PREVALENCE_INDICATORS key to rows of { group, n, sd2, sd3 }, where
+ *   group is 'all', 'BOY', 'GIRL' or an age group key; zScores lists the
+ *   summarizeZScores() result of each PREVALENCE_Z_SCORE_METRICS entry
+ */
+function analyzePrevalence(records, designEffects = {}) {
+  const analysed = records.filter(isPrevalenceAge);
+  const groups = [
+    { group: "all", records: analysed },
+    ...["BOY", "GIRL"].map((gender) => ({
+      group: gender,
+      records: analysed.filter((record) => record.gender === gender),
+    })),
+    ...PREVALENCE_AGE_GROUPS.map(({ key, min, max }) => ({
+      group: key,
+      records: analysed.filter((record) => {
+        const months = convertToMonths(record.age, "DAY");
+        return months >= min && months < max;
+      }),
+    })),
+  ];
+
+  const prevalence = {};
+  Object.entries(PREVALENCE_INDICATORS).forEach(([indicator, { metric }]) => {
+    prevalence[indicator] = groups.map(({ group, records: groupRecords }) => ({
+      group,
+      ...calculatePrevalence(groupRecords, indicator, designEffects[metric]),
+    }));
+  });
+
+  return {
+    n: analysed.length,
+    prevalence,
+    zScores: PREVALENCE_Z_SCORE_METRICS.map((metric) => ({
+      metric,
+      ...summarizeZScores(analysed, metric, designEffects[metric]),
+    })),
+  };
+}
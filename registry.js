@@ -0,0 +1,358 @@
+// Patient Registry
+// Patients and their visits are stored on-device in IndexedDB and never
+// leave the browser; with a passcode they are stored encrypted (see lock.js)
+
+const REGISTRY_DB_NAME = "doklah";
+const REGISTRY_DB_VERSION = 2;
+
+// Open database connection, shared by every registry call
+let registryDb = null;
+
+/**
+ * Open the registry database, creating or upgrading its object stores
+ * Patients are keyed by id; visits are keyed by id and indexed by
+ * patientId; meta holds the passcode lock. Version 2 dropped the patient
+ * identifier index, which encrypted patients cannot fill
+ * @async
+ * @returns {Promise<IDBDatabase>} Open database
+ * @throws {Error} If IndexedDB is unavailable or the database fails to open
+ */
+async function openRegistry() {
+  if (registryDb) return registryDb;
+
+  registryDb = await new Promise((resolve, reject) => {
+    const request = indexedDB.open(REGISTRY_DB_NAME, REGISTRY_DB_VERSION);
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      if (event.oldVersion < 1) {
+        db.createObjectStore("patients", { keyPath: "id" });
+        const visits = db.createObjectStore("visits", { keyPath: "id" });
+        visits.createIndex("patientId", "patientId");
+      }
+      if (event.oldVersion < 2) {
+        const patients = request.transaction.objectStore("patients");
+        if (patients.indexNames.contains("identifier")) {
+          patients.deleteIndex("identifier");
+        }
+        db.createObjectStore("meta", { keyPath: "id" });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Let another tab upgrade or erase the database; reopened on next use
+  registryDb.onversionchange = () => {
+    registryDb.close();
+    registryDb = null;
+  };
+  return registryDb;
+}
+
+/**
+ * Run registry operations inside one transaction
+ * @async
+ * @private
+ * @param {string[]} storeNames - Object stores the transaction covers
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the transaction and returns the
+ *   request whose result is resolved, if any
+ * @returns {Promise<*>} Result of the returned request once the
+ *   transaction completes
+ */
+async function runRegistryTransaction(storeNames, mode, operation) {
+  const db = await openRegistry();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    const request = operation(transaction);
+    transaction.oncomplete = () => resolve(request ? request.result : null);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Validate patient details before saving
+ * @param {Object} patient - Patient details
+ * @param {string} patient.name - Patient name
+ * @param {string} patient.gender - 'BOY' or 'GIRL'
+ * @param {string} patient.birthDate - Date of birth as 'YYYY-MM-DD'
+ * @returns {string[]} Array of error messages (empty if valid)
+ */
+function validatePatient(patient) {
+  const errors = [];
+
+  if (!patient.name || !patient.name.trim()) {
+    errors.push("Name is required");
+  }
+
+  if (!patient.gender) {
+    errors.push("Gender is required");
+  }
+
+  if (!patient.birthDate) {
+    errors.push("Date of birth is required");
+  } else if (isNaN(Date.parse(patient.birthDate))) {
+    errors.push("Date of birth must be valid");
+  } else if (Date.parse(patient.birthDate) > Date.now()) {
+    errors.push("Date of birth cannot be in the future");
+  }
+
+  return errors;
+}
+
+/**
+ * Create or update a patient
+ * New patients get a random id; the optional identifier (e.g. a medical
+ * record number) must be unique
+ * @async
+ * @param {Object} patient - Patient with identifier, name, gender and
+ *   birthDate; includes id when updating
+ * @returns {Promise<Object>} Saved patient
+ * @throws {Error} If the identifier is already used by another patient
+ */
+async function savePatient(patient) {
+  const now = new Date().toISOString();
+  const identifier = patient.identifier ? patient.identifier.trim() : "";
+
+  if (identifier) {
+    const existing = (await listPatients()).find(
+      (other) => other.identifier === identifier
+    );
+    if (existing && existing.id !== patient.id) {
+      throw new Error("Identifier is already used by another patient");
+    }
+  }
+
+  const saved = {
+    ...patient,
+    id: patient.id || crypto.randomUUID(),
+    identifier,
+    name: patient.name.trim(),
+    createdAt: patient.createdAt || now,
+    updatedAt: now,
+  };
+  const sealed = await sealRecord(saved);
+  await runRegistryTransaction(["patients"], "readwrite", (transaction) =>
+    transaction.objectStore("patients").put(sealed)
+  );
+  return saved;
+}
+
+/**
+ * Get a patient by id
+ * @async
+ * @param {string} id - Patient id
+ * @returns {Promise<Object|null>} Patient, or null if not found
+ */
+async function getPatient(id) {
+  const patient = await runRegistryTransaction(
+    ["patients"],
+    "readonly",
+    (transaction) => transaction.objectStore("patients").get(id)
+  );
+  return patient ? openRecord(patient) : null;
+}
+
+/**
+ * List every patient, sorted by name
+ * @async
+ * @returns {Promise<Array<Object>>} Patients
+ */
+async function listPatients() {
+  const { patients } = await exportRegistry();
+  return patients.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Search patients by name or identifier
+ * Matching is case-insensitive and accepts partial text
+ * @async
+ * @param {string} query - Search text; empty lists every patient
+ * @returns {Promise<Array<Object>>} Matching patients, sorted by name
+ */
+async function searchPatients(query) {
+  const text = (query || "").trim().toLowerCase();
+  const patients = await listPatients();
+  if (!text) return patients;
+
+  return patients.filter(
+    (patient) =>
+      patient.name.toLowerCase().includes(text) ||
+      patient.identifier.toLowerCase().includes(text)
+  );
+}
+
+/**
+ * Delete a patient together with all of their visits
+ * @async
+ * @param {string} id - Patient id
+ * @returns {Promise<void>}
+ */
+async function deletePatient(id) {
+  await runRegistryTransaction(
+    ["patients", "visits"],
+    "readwrite",
+    (transaction) => {
+      transaction.objectStore("patients").delete(id);
+      const cursorRequest = transaction
+        .objectStore("visits")
+        .index("patientId")
+        .openCursor(IDBKeyRange.only(id));
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+    }
+  );
+}
+
+/**
+ * Create or update a visit of a patient
+ * @async
+ * @param {Object} visit - Visit with patientId, the assessment inputs and
+ *   results; includes id when updating
+ * @returns {Promise<Object>} Saved visit
+ */
+async function saveVisit(visit) {
+  const now = new Date().toISOString();
+  const saved = {
+    ...visit,
+    id: visit.id || crypto.randomUUID(),
+    createdAt: visit.createdAt || now,
+    updatedAt: now,
+  };
+  const sealed = await sealRecord(saved, ["patientId"]);
+  await runRegistryTransaction(["visits"], "readwrite", (transaction) =>
+    transaction.objectStore("visits").put(sealed)
+  );
+  return saved;
+}
+
+/**
+ * List the visits of a patient, oldest measurement first
+ * @async
+ * @param {string} patientId - Patient id
+ * @returns {Promise<Array<Object>>} Visits
+ */
+async function listVisits(patientId) {
+  const visits = await runRegistryTransaction(
+    ["visits"],
+    "readonly",
+    (transaction) =>
+      transaction
+        .objectStore("visits")
+        .index("patientId")
+        .getAll(IDBKeyRange.only(patientId))
+  );
+  return (await Promise.all(visits.map(openRecord))).sort((a, b) =>
+    a.measurementDate.localeCompare(b.measurementDate)
+  );
+}
+
+/**
+ * Delete a single visit
+ * @async
+ * @param {string} id - Visit id
+ * @returns {Promise<void>}
+ */
+async function deleteVisit(id) {
+  await runRegistryTransaction(["visits"], "readwrite", (transaction) =>
+    transaction.objectStore("visits").delete(id)
+  );
+}
+
+/**
+ * Read every patient and visit, e.g. for a backup
+ * @async
+ * @returns {Promise<Object>} { patients, visits }
+ */
+async function exportRegistry() {
+  const patients = await runRegistryTransaction(
+    ["patients"],
+    "readonly",
+    (transaction) => transaction.objectStore("patients").getAll()
+  );
+  const visits = await runRegistryTransaction(
+    ["visits"],
+    "readonly",
+    (transaction) => transaction.objectStore("visits").getAll()
+  );
+  return {
+    patients: await Promise.all(patients.map(openRecord)),
+    visits: await Promise.all(visits.map(openRecord)),
+  };
+}
+
+/**
+ * Write patients and visits in one transaction, e.g. from a backup
+ * Records replace those with the same id; other records are kept
+ * @async
+ * @param {Array<Object>} patients - Patients to write
+ * @param {Array<Object>} visits - Visits to write
+ * @param {Object|null} [lock] - Passcode lock to write in the same
+ *   transaction: an object replaces it, null removes it and undefined keeps
+ *   it
+ * @returns {Promise<void>}
+ */
+async function importRegistry(patients, visits, lock) {
+  const sealedPatients = await Promise.all(
+    patients.map((patient) => sealRecord(patient, [], lock === null))
+  );
+  const sealedVisits = await Promise.all(
+    visits.map((visit) => sealRecord(visit, ["patientId"], lock === null))
+  );
+
+  await runRegistryTransaction(
+    ["patients", "visits", "meta"],
+    "readwrite",
+    (transaction) => {
+      const patientStore = transaction.objectStore("patients");
+      sealedPatients.forEach((patient) => patientStore.put(patient));
+      const visitStore = transaction.objectStore("visits");
+      sealedVisits.forEach((visit) => visitStore.put(visit));
+      if (lock) {
+        transaction.objectStore("meta").put({ ...lock, id: "lock" });
+      } else if (lock === null) {
+        transaction.objectStore("meta").delete("lock");
+      }
+    }
+  );
+}
+
+/**
+ * Get the passcode lock of the registry
+ * @async
+ * @returns {Promise<Object|null>} Lock with salt, iterations and check, or
+ *   null without a passcode
+ */
+async function getRegistryLock() {
+  const lock = await runRegistryTransaction(
+    ["meta"],
+    "readonly",
+    (transaction) => transaction.objectStore("meta").get("lock")
+  );
+  return lock || null;
+}
+
+/**
+ * Delete the registry database with every patient, visit and the lock
+ * @async
+ * @returns {Promise<void>}
+ */
+async function deleteRegistry() {
+  if (registryDb) {
+    registryDb.close();
+    registryDb = null;
+  }
+
+  await new Promise((resolve, reject) => {
+    const request = indexedDB.deleteDatabase(REGISTRY_DB_NAME);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+}
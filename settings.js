@@ -6,12 +6,18 @@ const SETTINGS_KEY = "doklah_settings";
 const DEFAULT_SETTINGS = {
   language: "en",
   darkMode: false,
+  chartCurveMode: "zScore",
+  reference: "who",
+  units: "metric",
+  alertZScoreDrop: 0.67,
+  alertStaticWeightDays: 30,
+  lockTimeoutMinutes: 5,
 };
 
 /**
  * Get all settings from localStorage
  * Merges stored settings with default settings
- * @returns {Object} Current settings object with language and darkMode properties
+ * @returns {Object} Current settings object with every DEFAULT_SETTINGS key
  */
 function getSettings() {
   try {
@@ -30,6 +36,15 @@ function getSettings() {
  * @param {Object} settings - Settings object to save
  * @param {string} settings.language - Language code (en, es, pt, fr, id, ja)
  * @param {boolean} settings.darkMode - Dark mode enabled/disabled
+ * @param {string} settings.chartCurveMode - Chart curves: 'zScore' or 'centile'
+ * @param {string} settings.reference - Growth reference set id
+ * @param {string} settings.units - Unit system: 'metric' or 'imperial'
+ * @param {number} settings.alertZScoreDrop - Z-score fall that raises a
+ *   growth alert
+ * @param {number} settings.alertStaticWeightDays - Days without weight gain
+ *   that raise a growth alert
+ * @param {number} settings.lockTimeoutMinutes - Idle minutes before the
+ *   app locks, when a passcode is set
  * @returns {void}
  */
 function saveSettings(settings) {
@@ -0,0 +1,318 @@
+// Survey Batch Processing
+// Nutrition survey and screening spreadsheets are read from CSV, every
+// child is run through the z-score functions and the results are exported
+// back to CSV with the z-scores appended; nothing leaves the browser
+
+// Survey columns read for each child, with the header names they are
+// recognised by; oedema is optional
+const SURVEY_FIELDS = {
+  sex: { required: true, pattern: /sex|gender/ },
+  birthDate: { required: true, pattern: /birth|dob/ },
+  measurementDate: {
+    required: true,
+    pattern: /^date$|measure|surv|visit|exam|interview/,
+  },
+  weight: { required: true, pattern: /weight|^wt/ },
+  height: { required: true, pattern: /height|length|stature|^ht/ },
+  oedema: { required: false, pattern: /oedema|edema/ },
+};
+
+// Appended result column of each indicator's z-score
+const SURVEY_Z_SCORE_COLUMNS = {
+  weight: "WAZ",
+  height: "HAZ",
+  weightForHeight: "WHZ",
+  bmi: "BAZ",
+};
+
+// Order of the year, month and day in each supported date format
+const SURVEY_DATE_FORMATS = {
+  YMD: ["year", "month", "day"],
+  DMY: ["day", "month", "year"],
+  MDY: ["month", "day", "year"],
+};
+
+/**
+ * Parse CSV text into rows of fields
+ * Handles quoted fields, CRLF line ends and a byte order mark; the
+ * separator is a comma, or a semicolon or tab when the header uses those
+ * (as spreadsheets in many locales export)
+ * @param {string} text - CSV text
+ * @returns {Array<string[]>} Non-empty rows, the header first
+ */
+function parseCsv(text) {
+  const content = text.replace(/^\uFEFF/, "");
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const separator = [",", ";", "\t"].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length
+      ? candidate
+      : best
+  );
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ""));
+}
+
+/**
+ * Guess which column holds each survey field from the header names
+ * @param {string[]} header - Header row
+ * @returns {Object} Column index of each SURVEY_FIELDS key, or null when
+ *   no column matches
+ */
+function guessSurveyMapping(header) {
+  const names = header.map((name) => name.trim().toLowerCase());
+  const used = new Set();
+  const mapping = {};
+
+  Object.entries(SURVEY_FIELDS).forEach(([field, { pattern }]) => {
+    const index = names.findIndex(
+      (name, column) => !used.has(column) && pattern.test(name)
+    );
+    mapping[field] = index === -1 ? null : index;
+    if (index !== -1) used.add(index);
+  });
+  return mapping;
+}
+
+/**
+ * Guess the date format from the mapped date columns
+ * @param {Array<string[]>} rows - Survey rows
+ * @param {Object} mapping - Column index of each SURVEY_FIELDS key
+ * @returns {string} Whichever of 'YMD', 'DMY' and 'MDY' reads the most
+ *   dates, the first on a tie
+ */
+function guessSurveyDateFormat(rows, mapping) {
+  const values = rows.flatMap((row) =>
+    ["birthDate", "measurementDate"]
+      .filter((field) => mapping[field] !== null)
+      .map((field) => row[mapping[field]] || "")
+  );
+  const countDates = (dateFormat) =>
+    values.filter((value) => parseSurveyDate(value, dateFormat)).length;
+
+  return Object.keys(SURVEY_DATE_FORMATS).reduce((best, dateFormat) =>
+    countDates(dateFormat) > countDates(best) ? dateFormat : best
+  );
+}
+
+/**
+ * Read a child's sex from a survey value
+ * Accepts M/F, male/female, boy/girl and the SMART codes 1/2
+ * @private
+ * @param {string} value - Survey value
+ * @returns {string|null} 'BOY', 'GIRL', or null if not recognised
+ */
+function parseSurveySex(value) {
+  const text = value.trim().toLowerCase();
+  if (["m", "male", "boy", "1"].includes(text)) return "BOY";
+  if (["f", "female", "girl", "2"].includes(text)) return "GIRL";
+  return null;
+}
+
+/**
+ * Read a date from a survey value
+ * @private
+ * @param {string} value - Date with '-', '/' or '.' separators
+ * @param {string} dateFormat - 'YMD', 'DMY' or 'MDY'
+ * @returns {string|null} Date as 'YYYY-MM-DD', or null if not a valid date
+ *   in the format
+ */
+function parseSurveyDate(value, dateFormat) {
+  const parts = value.trim().split(/[-/.]/);
+  if (parts.length !== 3 || parts.some((part) => !/^\d+$/.test(part))) {
+    return null;
+  }
+
+  const date = {};
+  SURVEY_DATE_FORMATS[dateFormat].forEach((key, index) => {
+    date[key] = parts[index];
+  });
+  if (date.year.length !== 4) return null;
+
+  const iso = `${date.year}-${date.month.padStart(2, "0")}-${date.day.padStart(
+    2,
+    "0"
+  )}`;
+  const parsed = new Date(`${iso}T00:00:00Z`);
+  return !isNaN(parsed) && parsed.toISOString().slice(0, 10) === iso
+    ? iso
+    : null;
+}
+
+/**
+ * Read a measurement from a survey value
+ * A decimal comma is accepted
+ * @private
+ * @param {string} value - Survey value
+ * @returns {number|null} Number (NaN if not numeric), or null when empty
+ */
+function parseSurveyNumber(value) {
+  const text = value.trim().replace(",", ".");
+  return text === "" ? null : Number(text);
+}
+
+/**
+ * Read a bilateral pitting oedema grade from a survey value
+ * Accepts grades 0 to 3, '+' to '+++', yes/no and y/n (yes counts as
+ * grade 1)
+ * @private
+ * @param {string} value - Survey value; empty means no oedema
+ * @returns {number} Grade 0 to 3, or NaN if not recognised
+ */
+function parseSurveyOedema(value) {
+  const text = value.trim().toLowerCase();
+  if (["", "0", "n", "no", "false"].includes(text)) return 0;
+  if (["y", "yes", "true"].includes(text)) return 1;
+  if (/^\+{1,3}$/.test(text)) return text.length;
+  if (["1", "2", "3"].includes(text)) return Number(text);
+  return NaN;
+}
+
+/**
+ * Assess one survey row
+ * Length is taken as measured lying under 24 months and height standing
+ * from 24 months, as WHO expects. Requires the data of
+ * calculateIndicators() and loadClassificationRules()
+ * @param {string[]} row - Survey row
+ * @param {Object} mapping - Column index of each SURVEY_FIELDS key; null
+ *   for an unmapped optional field
+ * @param {string} dateFormat - 'YMD', 'DMY' or 'MDY'
+ * @returns {Object} { errors, gender, age, oedema, indicators, flags },
+ *   with age in days; all but errors are null when the row has errors
+ */
+function assessSurveyRow(row, mapping, dateFormat) {
+  const read = (field) =>
+    mapping[field] === null ? "" : row[mapping[field]] || "";
+
+  const gender = parseSurveySex(read("sex"));
+  const birthDate = parseSurveyDate(read("birthDate"), dateFormat);
+  const measurementDate = parseSurveyDate(read("measurementDate"), dateFormat);
+  const weight = parseSurveyNumber(read("weight"));
+  const height = parseSurveyNumber(read("height"));
+  const oedema = parseSurveyOedema(read("oedema"));
+
+  const errors = [];
+  if (read("sex").trim() && !gender) {
+    errors.push("Sex must be M/F, male/female, boy/girl or 1/2");
+  }
+  if (read("birthDate").trim() && !birthDate) {
+    errors.push("Date of birth does not match the date format");
+  }
+  if (read("measurementDate").trim() && !measurementDate) {
+    errors.push("Date of measurement does not match the date format");
+  }
+  if (isNaN(oedema)) {
+    errors.push("Oedema must be 0 to 3, + to +++ or yes/no");
+  }
+  if (errors.length === 0) {
+    errors.push(
+      ...validateInput(gender, weight, height, birthDate, measurementDate)
+    );
+  }
+  if (errors.length > 0) {
+    return {
+      errors,
+      gender: null,
+      age: null,
+      oedema: null,
+      indicators: null,
+      flags: null,
+    };
+  }
+
+  const age = calculateAgeInDays(birthDate, measurementDate);
+  const indicators = calculateIndicators({
+    gender: gender === "BOY" ? "Boy" : "Girl",
+    weight,
+    height,
+    headCircumference: null,
+    muac: null,
+    oedema,
+    age: { value: age, unit: "DAY" },
+  });
+  return {
+    errors,
+    gender,
+    age,
+    oedema,
+    indicators,
+    flags: flagImplausibleIndicators(indicators),
+  };
+}
+
+/**
+ * Export survey rows with their results appended as CSV
+ * Adds the age in months, WAZ, HAZ, WHZ and BAZ, the flagged
+ * (implausible) z-scores and any row errors
+ * @param {string[]} header - Header row of the survey
+ * @param {Array<string[]>} rows - Survey rows
+ * @param {Array<Object>} results - Result of each row from
+ *   assessSurveyRow()
+ * @returns {string} CSV text with a header row
+ */
+function createSurveyCsv(header, rows, results) {
+  const resultHeader = [
+    "age_months",
+    ...Object.values(SURVEY_Z_SCORE_COLUMNS),
+    "flags",
+    "errors",
+  ];
+
+  const resultRows = rows.map((row, index) => {
+    const { errors, age, indicators, flags } = results[index];
+    const values = header.map((name, column) => row[column] ?? "");
+    if (errors.length > 0) {
+      return [
+        ...values,
+        ...resultHeader.slice(0, -1).map(() => null),
+        errors.join("; "),
+      ];
+    }
+
+    return [
+      ...values,
+      convertToMonths(age, "DAY").toFixed(1),
+      ...Object.keys(SURVEY_Z_SCORE_COLUMNS).map((metric) =>
+        indicators[metric] ? indicators[metric].zScore.toFixed(2) : null
+      ),
+      flags.map((flag) => SURVEY_Z_SCORE_COLUMNS[flag.metric]).join(";"),
+      null,
+    ];
+  });
+
+  return [[...header, ...resultHeader], ...resultRows]
+    .map((row) => row.map(formatCsvField).join(","))
+    .join("\r\n");
+}
@@ -1,5 +1,5 @@
 // Service Worker for offline-first PWA
-const CACHE_NAME = "doklah-v1";
+const CACHE_NAME = "doklah-v45";
 const urlsToCache = [
   "/",
   "/doklah/",
@@ -10,10 +10,22 @@ const urlsToCache = [
   "/doklah/i18n.js",
   "/doklah/chart.js",
   "/doklah/settings.js",
+  "/doklah/units.js",
+  "/doklah/registry.js",
+  "/doklah/lock.js",
+  "/doklah/backup.js",
+  "/doklah/fhir.js",
+  "/doklah/survey.js",
+  "/doklah/prevalence.js",
   "/doklah/manifest.json",
   "/doklah/sw.js",
   "/doklah/data/child.json",
   "/doklah/data/z-score.json",
+  "/doklah/data/weight-for-height.json",
+  "/doklah/data/references.json",
+  "/doklah/data/classification-rules.json",
+  "/doklah/data/cdc-2000/child.json",
+  "/doklah/data/cdc-2000/z-score.json",
   // Icons - cache for offline PWA display
   "/doklah/icon/favicon-16x16.png",
   "/doklah/icon/favicon-32x32.png",
@@ -0,0 +1,138 @@
+// Measurement Units
+// Values are entered and displayed in the unit system chosen in settings,
+// but always stored and calculated in kg and cm
+
+const KG_PER_POUND = 0.45359237;
+const OUNCES_PER_POUND = 16;
+const CM_PER_INCH = 2.54;
+const INCHES_PER_FOOT = 12;
+
+// Display unit per quantity ('weight' or 'length') and unit system
+const UNIT_LABELS = {
+  metric: { weight: "kg", length: "cm" },
+  imperial: { weight: "lb", length: "in" },
+};
+
+/**
+ * Get the unit system chosen in settings
+ * @returns {string} 'metric' or 'imperial'
+ */
+function getUnitSystem() {
+  return getSetting("units") === "imperial" ? "imperial" : "metric";
+}
+
+/**
+ * Get the display unit of a quantity in the chosen unit system
+ * @param {string} quantity - 'weight' or 'length'
+ * @returns {string} Unit symbol ('kg', 'cm', 'lb' or 'in')
+ */
+function getUnitLabel(quantity) {
+  return UNIT_LABELS[getUnitSystem()][quantity];
+}
+
+/**
+ * Convert a metric value to the chosen unit system
+ * Imperial weights become decimal pounds and lengths decimal inches
+ * @param {number} value - Value in kg or cm
+ * @param {string} quantity - 'weight' or 'length'
+ * @returns {number} Value in the display unit
+ */
+function toDisplayUnits(value, quantity) {
+  if (getUnitSystem() === "metric") return value;
+  return quantity === "weight" ? value / KG_PER_POUND : value / CM_PER_INCH;
+}
+
+/**
+ * Convert pounds and ounces to kilograms
+ * @param {number} pounds - Whole or decimal pounds
+ * @param {number} ounces - Ounces
+ * @returns {number} Weight in kg
+ */
+function poundsOuncesToKg(pounds, ounces) {
+  return (pounds + ounces / OUNCES_PER_POUND) * KG_PER_POUND;
+}
+
+/**
+ * Convert feet and inches to centimetres
+ * @param {number} feet - Whole or decimal feet
+ * @param {number} inches - Inches
+ * @returns {number} Length in cm
+ */
+function feetInchesToCm(feet, inches) {
+  return (feet * INCHES_PER_FOOT + inches) * CM_PER_INCH;
+}
+
+/**
+ * Split a weight into whole pounds and ounces (to 0.1 oz)
+ * @param {number} kg - Weight in kg (non-negative)
+ * @returns {Object} { pounds, ounces }
+ */
+function kgToPoundsOunces(kg) {
+  const totalOunces =
+    Math.round((kg / KG_PER_POUND) * OUNCES_PER_POUND * 10) / 10;
+  const pounds = Math.floor(totalOunces / OUNCES_PER_POUND);
+  return { pounds, ounces: totalOunces - pounds * OUNCES_PER_POUND };
+}
+
+/**
+ * Split a length into whole feet and inches (to 0.1 in)
+ * @param {number} cm - Length in cm (non-negative)
+ * @returns {Object} { feet, inches }
+ */
+function cmToFeetInches(cm) {
+  const totalInches = Math.round((cm / CM_PER_INCH) * 10) / 10;
+  const feet = Math.floor(totalInches / INCHES_PER_FOOT);
+  return { feet, inches: totalInches - feet * INCHES_PER_FOOT };
+}
+
+/**
+ * Format a weight in the chosen unit system
+ * @param {number} kg - Weight in kg; negative for a weight loss
+ * @returns {string} Text such as '12.35 kg' or '27 lb 3.6 oz'
+ */
+function formatWeight(kg) {
+  if (getUnitSystem() === "metric") return `${kg.toFixed(2)} kg`;
+
+  const { pounds, ounces } = kgToPoundsOunces(Math.abs(kg));
+  const sign = kg < 0 ? "-" : "";
+  return pounds > 0
+    ? `${sign}${pounds} lb ${ounces.toFixed(1)} oz`
+    : `${sign}${ounces.toFixed(1)} oz`;
+}
+
+/**
+ * Format a stature (length or height) in the chosen unit system
+ * Imperial statures are split into feet and inches
+ * @param {number} cm - Length or height in cm
+ * @returns {string} Text such as '87.5 cm' or '2 ft 10.4 in'
+ */
+function formatHeight(cm) {
+  if (getUnitSystem() === "metric") return `${cm.toFixed(1)} cm`;
+
+  const { feet, inches } = cmToFeetInches(Math.abs(cm));
+  const sign = cm < 0 ? "-" : "";
+  return feet > 0
+    ? `${sign}${feet} ft ${inches.toFixed(1)} in`
+    : `${sign}${inches.toFixed(1)} in`;
+}
+
+/**
+ * Format a length (circumference or length gain) in the chosen unit system
+ * @param {number} cm - Length in cm
+ * @returns {string} Text such as '45.2 cm' or '17.8 in'
+ */
+function formatLength(cm) {
+  return `${toDisplayUnits(cm, "length").toFixed(1)} ${getUnitLabel("length")}`;
+}
+
+/**
+ * Format a validation limit in the chosen unit system
+ * Imperial limits are rounded to three significant digits
+ * @param {number} value - Limit in kg or cm
+ * @param {string} quantity - 'weight' or 'length'
+ * @returns {string} Text such as '150 kg' or '331 lb'
+ */
+function formatLimit(value, quantity) {
+  const displayValue = Number(toDisplayUnits(value, quantity).toPrecision(3));
+  return `${displayValue} ${getUnitLabel(quantity)}`;
+}